@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Landsat 分析交互界面（ui.Panel）
+ *
+ * 本脚本在 Code Editor 地图左侧添加一个控制面板，无需修改代码即可完成常用分析：
+ * 1. 研究区域：填写 FeatureCollection 资产路径
+ * 2. 时间段：指定日期范围，或使用 landsat_periods.js 按年/季/月/每年月份窗口自动生成
+ * 3. 卫星：勾选 Landsat 4/5/7/8/9
+ * 4. 分析内容：FVC（像元二分模型）或 landsat_indices.js 中注册的任意光谱指数
+ * 5. 统计方式（含任意百分位数）、NDVI合成方法及阈值、掩膜方案、跨传感器归一化
+ * 6. 导出设置：目的地（Drive 文件夹、资产文件夹或 Cloud Storage 存储桶）、导出范围、CRS、分辨率、数据类型与缩放、无数据值，
+ *    参见 landsat_export.js
+ * 点击“运行”后在地图上显示各时间段结果，并在 Tasks 面板中创建导出任务（名称与 landsat_fvc_analysis.js、
+ * landsat_index_analysis.js 一致），面板下方列出已创建的任务。
+ * 计算流程与上述分析脚本相同，均由 landsat_core.js、landsat_indices.js 和 landsat_fvc.js 提供。
+ */
+
+// 引入公共核心模块、光谱指数注册表、时间段生成工具、FVC工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var fvcTools = require('users/your_username/GEE_script4landsat:landsat_fvc');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+// 时间段模式：日期范围或 landsat_periods.js 中的时间段类型
+var PERIOD_MODES = {
+  'range': '日期范围',
+  'yearly': '逐年',
+  'seasonal': '逐季',
+  'monthly': '逐月',
+  'season': '每年月份窗口'
+};
+
+// FVC 显示调色板（与 landsat_fvc_analysis.js 一致）
+var FVC_PALETTE = [
+  '#FFFFFF', '#FDE9A7', '#D9C893', '#B5B080',
+  '#91986C', '#6D8059', '#4A6845', '#275032', '#04381E'
+];
+
+/**
+ * 创建带标题的一行控件
+ * @param {string} label - 标题
+ * @param {ui.Widget} widget - 控件
+ * @return {ui.Panel} 水平排列的面板
+ */
+function labeledRow(label, widget) {
+  return ui.Panel([ui.Label(label, {width: '90px'}), widget], ui.Panel.Layout.Flow('horizontal'));
+}
+
+/**
+ * 将下拉框选项对象转换为 ui.Select 的 items
+ * @param {Object} options - 选项值到显示名称的映射
+ * @return {Array<Object>} items 列表
+ */
+function selectItems(options) {
+  return Object.keys(options).map(function(key) {
+    return {label: options[key] + ' (' + key + ')', value: key};
+  });
+}
+
+// 控件
+var aoiBox = ui.Textbox({placeholder: 'users/your_username/aoi', style: {stretch: 'horizontal'}});
+
+var periodSelect = ui.Select({items: selectItems(PERIOD_MODES), value: 'range'});
+var startDateBox = ui.Textbox({value: '2020-01-01'});
+var endDateBox = ui.Textbox({value: '2021-01-01'});
+var startYearBox = ui.Textbox({value: '2015'});
+var endYearBox = ui.Textbox({value: '2020'});
+var startMonthBox = ui.Textbox({value: '6'});
+var endMonthBox = ui.Textbox({value: '8'});
+var rangePanel = ui.Panel([labeledRow('起始日期', startDateBox), labeledRow('结束日期', endDateBox)]);
+var yearPanel = ui.Panel([labeledRow('起始年份', startYearBox), labeledRow('结束年份', endYearBox)]);
+var monthPanel = ui.Panel([labeledRow('起始月份', startMonthBox), labeledRow('结束月份', endMonthBox)]);
+
+var satelliteChecks = {};
+var satellitePanel = ui.Panel([], ui.Panel.Layout.Flow('horizontal', true));
+Object.keys(core.SATELLITES).forEach(function(id) {
+  satelliteChecks[id] = ui.Checkbox(id, id === 'L8' || id === 'L9');
+  satellitePanel.add(satelliteChecks[id]);
+});
+
+var analysisItems = [{label: 'FVC（植被覆盖度）', value: 'FVC'}].concat(
+  Object.keys(indices.INDICES).map(function(name) {
+    return {label: name + '（' + indices.INDICES[name].description + '）', value: name};
+  }));
+var analysisSelect = ui.Select({items: analysisItems, value: 'FVC'});
+
+var statSelect = ui.Select({
+  items: selectItems(core.STAT_TYPES).concat([{label: '百分位数 (pN)', value: 'percentile'}]),
+  value: 'median'
+});
+var percentileBox = ui.Textbox({value: '90', style: {width: '60px'}});
+var percentileRow = labeledRow('百分位数', percentileBox);
+var ndviTypeSelect = ui.Select({
+  items: [{label: 'NDVI最大值 (max)', value: 'max'}, {label: 'NDVI均值 (mean)', value: 'mean'}],
+  value: 'max'
+});
+var autoThresholdCheck = ui.Checkbox('自动计算NDVI阈值（5%/95%分位数）', false);
+var soilBox = ui.Textbox({value: String(fvcTools.DEFAULT_NDVI_SOIL)});
+var vegBox = ui.Textbox({value: String(fvcTools.DEFAULT_NDVI_VEG)});
+var indexPanel = ui.Panel([labeledRow('统计方式', statSelect), percentileRow]);
+var fvcPanel = ui.Panel([
+  labeledRow('NDVI合成', ndviTypeSelect),
+  autoThresholdCheck,
+  labeledRow('NDVI_soil', soilBox),
+  labeledRow('NDVI_veg', vegBox)
+]);
+
+var maskSelect = ui.Select({
+  items: Object.keys(core.MASK_PROFILES).map(function(name) { return {label: name, value: name}; }),
+  value: 'basic'
+});
+var harmonizeCheck = ui.Checkbox('跨传感器归一化（TM/ETM+ 至 OLI）', false);
+var folderBox = ui.Textbox({value: 'Landsat_Results'});
+
+// 导出设置（参见 landsat_export.js）
+var destinationSelect = ui.Select({items: selectItems(exporter.DESTINATIONS), value: 'drive'});
+var assetFolderBox = ui.Textbox({placeholder: 'users/your_username/landsat'});
+var bucketBox = ui.Textbox({placeholder: 'my-bucket'});
+var regionSelect = ui.Select({items: selectItems(exporter.REGION_MODES), value: 'clip'});
+var bufferBox = ui.Textbox({value: '5000'});
+var crsBox = ui.Textbox({value: exporter.DEFAULT_EXPORT.crs});
+var scaleBox = ui.Textbox({value: String(exporter.DEFAULT_EXPORT.scale)});
+var dataTypeSelect = ui.Select({
+  items: Object.keys(exporter.DATA_TYPES).map(function(name) { return {label: name, value: name}; }),
+  value: 'float'
+});
+var multiplierBox = ui.Textbox({value: '1'});
+var noDataBox = ui.Textbox({placeholder: '不设置'});
+var folderRow = labeledRow('导出文件夹', folderBox);
+var assetFolderRow = labeledRow('资产文件夹', assetFolderBox);
+var bucketRow = labeledRow('存储桶', bucketBox);
+var bufferRow = labeledRow('外扩（米）', bufferBox);
+
+var runButton = ui.Button({label: '运行', style: {stretch: 'horizontal'}});
+var statusLabel = ui.Label('');
+var taskPanel = ui.Panel();
+
+/**
+ * 根据当前选择显示或隐藏相关控件
+ */
+function updateVisibility() {
+  var mode = periodSelect.getValue();
+  rangePanel.style().set('shown', mode === 'range');
+  yearPanel.style().set('shown', mode !== 'range');
+  monthPanel.style().set('shown', mode === 'season');
+
+  var isFVC = analysisSelect.getValue() === 'FVC';
+  fvcPanel.style().set('shown', isFVC);
+  indexPanel.style().set('shown', !isFVC);
+
+  percentileRow.style().set('shown', statSelect.getValue() === 'percentile');
+
+  var destination = destinationSelect.getValue();
+  folderRow.style().set('shown', destination === 'drive');
+  assetFolderRow.style().set('shown', destination === 'asset');
+  bucketRow.style().set('shown', destination === 'gcs');
+  bufferRow.style().set('shown', regionSelect.getValue() === 'buffer');
+
+  var manual = !autoThresholdCheck.getValue();
+  soilBox.setDisabled(!manual);
+  vegBox.setDisabled(!manual);
+}
+
+/**
+ * 从界面读取时间段列表
+ * @return {Array<Object>} 时间段列表
+ */
+function readPeriods() {
+  var mode = periodSelect.getValue();
+  if (mode === 'range') {
+    return [{start: startDateBox.getValue(), end: endDateBox.getValue()}];
+  }
+  return periods.generatePeriods({
+    type: mode,
+    startYear: Number(startYearBox.getValue()),
+    endYear: Number(endYearBox.getValue()),
+    startMonth: Number(startMonthBox.getValue()),
+    endMonth: Number(endMonthBox.getValue())
+  });
+}
+
+/**
+ * 从界面读取统计方式，百分位数转换为 'pN'
+ * @return {string} 统计方式
+ */
+function readStatType() {
+  if (statSelect.getValue() !== 'percentile') {
+    return statSelect.getValue();
+  }
+  var statType = 'p' + Number(percentileBox.getValue());
+  core.resolveStats(statType);
+  return statType;
+}
+
+/**
+ * 从界面读取导出设置
+ * @return {Object} 导出配置，参见 landsat_export.js 中的 resolveExport
+ */
+function readExportOptions() {
+  var options = {
+    destination: destinationSelect.getValue(),
+    folder: folderBox.getValue(),
+    assetFolder: assetFolderBox.getValue(),
+    bucket: bucketBox.getValue(),
+    region: regionSelect.getValue() === 'buffer' ? {buffer: Number(bufferBox.getValue())} : regionSelect.getValue(),
+    scale: Number(scaleBox.getValue()),
+    dataType: dataTypeSelect.getValue(),
+    multiplier: Number(multiplierBox.getValue())
+  };
+  if (crsBox.getValue()) {
+    options.crs = crsBox.getValue();
+  }
+  if (noDataBox.getValue()) {
+    options.noData = Number(noDataBox.getValue());
+  }
+  return exporter.resolveExport(options);
+}
+
+/**
+ * 从界面读取全部参数
+ * @return {Object} 参数对象
+ */
+function readParams() {
+  var assetId = aoiBox.getValue();
+  if (!assetId) {
+    throw new Error('请填写研究区域资产路径');
+  }
+  var satelliteIds = Object.keys(satelliteChecks).filter(function(id) {
+    return satelliteChecks[id].getValue();
+  });
+  if (satelliteIds.length === 0) {
+    throw new Error('请至少选择一颗卫星');
+  }
+
+  return {
+    geometry: ee.FeatureCollection(assetId),
+    areaName: assetId.split('/').pop(),
+    timePeriods: readPeriods(),
+    satelliteIds: satelliteIds,
+    analysis: analysisSelect.getValue(),
+    statType: readStatType(),
+    ndviType: ndviTypeSelect.getValue(),
+    autoThreshold: autoThresholdCheck.getValue(),
+    ndvi_soil: Number(soilBox.getValue()),
+    ndvi_veg: Number(vegBox.getValue()),
+    mask: maskSelect.getValue(),
+    harmonize: harmonizeCheck.getValue(),
+    outputPath: folderBox.getValue(),
+    exportOptions: readExportOptions()
+  };
+}
+
+/**
+ * 计算单个时间段的结果
+ * @param {Object} params - readParams 返回的参数对象
+ * @param {ee.ImageCollection} collection - 已添加指数波段的影像集合
+ * @param {Object} period - 时间段 {start, end}
+ * @return {Object} {image, name, vis} 结果影像、导出名称和显示参数
+ */
+function buildResult(params, collection, period) {
+  if (params.analysis !== 'FVC') {
+    return {
+      image: core.compositeStats(collection, params.analysis, params.statType),
+      name: params.areaName + '_' + params.analysis + '_' + core.statSuffix(params.statType) + '_' +
+        period.start + '_' + period.end,
+      vis: indices.getIndex(params.analysis).vis
+    };
+  }
+
+  // 与 landsat_fvc_analysis.js 相同的FVC计算流程（自动阈值计算失败时回退到手动阈值）
+  return {
+    image: fvcTools.buildFVC(collection, params).fvc,
+    name: params.areaName + '_FVC_' + params.ndviType.toUpperCase() + '_' + period.start + '_' + period.end,
+    vis: {min: 0, max: 1, palette: FVC_PALETTE}
+  };
+}
+
+/**
+ * 运行分析：逐时间段检索影像，显示结果并创建导出任务
+ */
+function run() {
+  var params;
+  try {
+    params = readParams();
+    // 资产路径无效时 centerObject 会抛出异常，在此一并提示
+    Map.centerObject(params.geometry, 9);
+  } catch (error) {
+    statusLabel.setValue('错误：' + error.message);
+    return;
+  }
+
+  Map.layers().reset();
+  taskPanel.clear();
+  statusLabel.setValue('正在处理 ' + params.timePeriods.length + ' 个时间段……');
+
+  var indexName = params.analysis === 'FVC' ? 'NDVI' : params.analysis;
+  var remaining = params.timePeriods.length;
+
+  params.timePeriods.forEach(function(period) {
+    var collection = core.getMergedCollection(params.satelliteIds, {
+      startDate: period.start,
+      endDate: period.end,
+      geometry: params.geometry,
+      mask: params.mask,
+      harmonize: params.harmonize
+    }).map(indices.addIndex(indexName));
+
+    collection.size().evaluate(function(imageCount, error) {
+      remaining -= 1;
+      if (error || imageCount === 0) {
+        taskPanel.add(ui.Label(period.start + ' 至 ' + period.end + '：' + (error || '未找到任何卫星影像'),
+          {color: 'gray'}));
+      } else {
+        var result = buildResult(params, collection, period);
+        Map.addLayer(exporter.displayImage(result.image.select(0), params.geometry, params.exportOptions),
+          result.vis, result.name);
+        var name = exporter.exportImage(result.image, {
+          description: result.name,
+          region: params.geometry,
+          folder: params.outputPath,
+          config: params.exportOptions
+        });
+        taskPanel.add(ui.Label('导出任务已创建：' + name + '（' + imageCount + '幅影像）'));
+      }
+      if (remaining === 0) {
+        Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
+        statusLabel.setValue('处理完成，请在 Tasks 面板中运行导出任务');
+      }
+    });
+  });
+}
+
+periodSelect.onChange(updateVisibility);
+analysisSelect.onChange(updateVisibility);
+autoThresholdCheck.onChange(updateVisibility);
+statSelect.onChange(updateVisibility);
+destinationSelect.onChange(updateVisibility);
+regionSelect.onChange(updateVisibility);
+runButton.onClick(run);
+
+// 组装控制面板
+var panel = ui.Panel({
+  widgets: [
+    ui.Label('Landsat 分析工具', {fontWeight: 'bold', fontSize: '18px'}),
+    ui.Label('研究区域资产路径'),
+    aoiBox,
+    labeledRow('时间段', periodSelect),
+    rangePanel,
+    yearPanel,
+    monthPanel,
+    ui.Label('卫星'),
+    satellitePanel,
+    labeledRow('分析内容', analysisSelect),
+    indexPanel,
+    fvcPanel,
+    labeledRow('掩膜方案', maskSelect),
+    harmonizeCheck,
+    ui.Label('导出设置', {fontWeight: 'bold'}),
+    labeledRow('导出目的地', destinationSelect),
+    folderRow,
+    assetFolderRow,
+    bucketRow,
+    labeledRow('导出范围', regionSelect),
+    bufferRow,
+    labeledRow('CRS', crsBox),
+    labeledRow('分辨率（米）', scaleBox),
+    labeledRow('数据类型', dataTypeSelect),
+    labeledRow('缩放系数', multiplierBox),
+    labeledRow('无数据值', noDataBox),
+    runButton,
+    statusLabel,
+    taskPanel
+  ],
+  style: {width: '360px', padding: '8px'}
+});
+
+updateVisibility();
+ui.root.insert(0, panel);
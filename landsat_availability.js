@@ -0,0 +1,188 @@
+/**
+ * @fileoverview 数据可用性日历工具
+ *
+ * 本模块基于 landsat_metadata.js 中 searchScenes 检索到的影像，按卫星 × 年份 × 月份统计影像数量及
+ * 云量不超过阈值的晴空影像数量，在控制台打印日历表（每颗卫星一张，行为年份、列为月份，单元格为“总数/晴空数”），
+ * 导出 CSV，并以 ui.Chart 堆叠柱状图显示各年份各卫星的晴空影像数量，便于在长时间序列分析前发现数据缺口。
+ *
+ * 影像云量优先使用研究区域云量（AOI_CLOUD_COVER，需在 searchScenes 中启用 aoiCloud），否则使用整景云量（CLOUD_COVER）。
+ * 日历仅包含各卫星运行年份（landsat_core.js 中 SATELLITES 的 startYear / endYear）内的月份。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var availability = require('users/your_username/GEE_script4landsat:landsat_availability');
+ *   availability.reportAvailability(result.collection, {satelliteIds: ['L5', 'L8'], startYear: 1990, endYear: 2020});
+ */
+
+// 引入公共核心模块和覆盖规划工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var coverage = require('users/your_username/GEE_script4landsat:landsat_coverage');
+
+// 默认晴空影像云量阈值（百分比）
+var DEFAULT_CLEAR_THRESHOLD = 20;
+
+// 日历表的输出字段
+var CALENDAR_COLUMNS = ['satellite', 'year', 'month', 'scene_count', 'clear_count'];
+
+// 数字补零函数
+function padZero(num) {
+  return num < 10 ? '0' + num : '' + num;
+}
+
+// 字符串左侧填充函数（用于右对齐数字）
+function padLeft(str, length) {
+  str = String(str);
+  while (str.length < length) {
+    str = ' ' + str;
+  }
+  return str;
+}
+
+/**
+ * 统计卫星 × 年份 × 月份的影像数量和晴空影像数量
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @param {number} [clearThreshold=20] - 晴空影像云量阈值（百分比，包含）
+ * @return {ee.Dictionary} {all, clear}，均为以 '<卫星>_<年>_<月>' 为键、影像数量为值的字典
+ */
+function countScenes(collection, clearThreshold) {
+  var keyed = collection.map(function(image) {
+    return ee.Feature(null, {
+      'key': ee.String(image.get('SATELLITE')).cat('_').cat(image.date().format('YYYY_MM')),
+      'cloud': coverage.sceneCloud(image)
+    });
+  });
+  return ee.Dictionary({
+    all: keyed.aggregate_histogram('key'),
+    clear: keyed.filter(ee.Filter.lte('cloud', clearThreshold)).aggregate_histogram('key')
+  });
+}
+
+/**
+ * 生成完整的卫星 × 年份 × 月份日历（无影像的月份计为0）
+ * @param {Object} counts - countScenes 的计算结果（客户端对象）
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ * @param {number} startYear - 起始年份
+ * @param {number} endYear - 结束年份（包含）
+ * @return {Array<Object>} 日历行列表，每行包含 CALENDAR_COLUMNS 中的字段
+ */
+function buildCalendar(counts, satelliteIds, startYear, endYear) {
+  var rows = [];
+  var currentYear = new Date().getUTCFullYear();
+  satelliteIds.forEach(function(satelliteId) {
+    var satellite = core.SATELLITES[satelliteId];
+    var firstYear = Math.max(startYear, satellite.startYear);
+    var lastYear = Math.min(endYear, satellite.endYear || currentYear);
+    for (var year = firstYear; year <= lastYear; year++) {
+      for (var month = 1; month <= 12; month++) {
+        var key = satelliteId + '_' + year + '_' + padZero(month);
+        rows.push({
+          'satellite': satelliteId,
+          'year': year,
+          'month': month,
+          'scene_count': counts.all[key] || 0,
+          'clear_count': counts.clear[key] || 0
+        });
+      }
+    }
+  });
+  return rows;
+}
+
+/**
+ * 在控制台打印日历表
+ * @param {Array<Object>} rows - buildCalendar 的结果
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ * @param {number} clearThreshold - 晴空影像云量阈值（百分比）
+ */
+function printCalendar(rows, satelliteIds, clearThreshold) {
+  var monthHeader = [];
+  for (var month = 1; month <= 12; month++) {
+    monthHeader.push(padLeft(padZero(month) + '月', 6));
+  }
+
+  print('\n数据可用性日历（单元格为 影像总数/云量≤' + clearThreshold + '%的晴空影像数）:');
+  satelliteIds.forEach(function(satelliteId) {
+    var satelliteRows = rows.filter(function(row) { return row.satellite === satelliteId; });
+    if (satelliteRows.length === 0) {
+      return;
+    }
+    var lines = ['Landsat ' + satelliteId.substring(1), '年份 |' + monthHeader.join('')];
+    for (var i = 0; i < satelliteRows.length; i += 12) {
+      var cells = satelliteRows.slice(i, i + 12).map(function(row) {
+        return padLeft(row.scene_count === 0 ? '-' : row.scene_count + '/' + row.clear_count, 6);
+      });
+      lines.push(satelliteRows[i].year + ' |' + cells.join(''));
+    }
+    print(lines.join('\n'));
+  });
+}
+
+/**
+ * 绘制各年份各卫星晴空影像数量的堆叠柱状图
+ * @param {Array<Object>} rows - buildCalendar 的结果
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ * @param {number} clearThreshold - 晴空影像云量阈值（百分比）
+ * @return {ui.Chart} 堆叠柱状图
+ */
+function chartCalendar(rows, satelliteIds, clearThreshold) {
+  var years = {};
+  rows.forEach(function(row) {
+    years[row.year] = years[row.year] || {};
+    years[row.year][row.satellite] = (years[row.year][row.satellite] || 0) + row.clear_count;
+  });
+
+  var dataTable = [['年份'].concat(satelliteIds)];
+  Object.keys(years).sort().forEach(function(year) {
+    dataTable.push([year].concat(satelliteIds.map(function(satelliteId) {
+      return years[year][satelliteId] || 0;
+    })));
+  });
+
+  return ui.Chart(dataTable, 'ColumnChart', {
+    title: '各年份晴空影像数量（云量≤' + clearThreshold + '%）',
+    isStacked: true,
+    hAxis: {title: '年份'},
+    vAxis: {title: '影像数量'}
+  });
+}
+
+/**
+ * 统计并输出数据可用性日历：控制台日历表、堆叠柱状图和 CSV
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @param {Object} options - 参数对象
+ * @param {Array<string>} options.satelliteIds - 卫星标识符列表
+ * @param {number} options.startYear - 起始年份
+ * @param {number} options.endYear - 结束年份（包含）
+ * @param {number} [options.clearThreshold=20] - 晴空影像云量阈值（百分比）
+ * @param {string} options.description - 导出任务名称
+ * @param {string} [options.folder] - GDrive导出路径
+ */
+function reportAvailability(collection, options) {
+  var clearThreshold = options.clearThreshold === undefined ? DEFAULT_CLEAR_THRESHOLD : options.clearThreshold;
+
+  countScenes(collection, clearThreshold).evaluate(function(counts, error) {
+    if (error) {
+      print('数据可用性统计失败:', error);
+      return;
+    }
+    var rows = buildCalendar(counts, options.satelliteIds, options.startYear, options.endYear);
+    printCalendar(rows, options.satelliteIds, clearThreshold);
+    print(chartCalendar(rows, options.satelliteIds, clearThreshold));
+
+    Export.table.toDrive({
+      collection: ee.FeatureCollection(rows.map(function(row) {
+        return ee.Feature(null, row);
+      })),
+      description: options.description,
+      folder: options.folder,
+      fileFormat: 'CSV',
+      selectors: CALENDAR_COLUMNS
+    });
+    print('数据可用性导出任务已创建:', options.description);
+  });
+}
+
+exports.DEFAULT_CLEAR_THRESHOLD = DEFAULT_CLEAR_THRESHOLD;
+exports.CALENDAR_COLUMNS = CALENDAR_COLUMNS;
+exports.countScenes = countScenes;
+exports.buildCalendar = buildCalendar;
+exports.reportAvailability = reportAvailability;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview 基于Landsat卫星数据的两期变化检测工具
+ *
+ * 本模块对比研究区域在两个时间段（如2000年与2020年）的FVC或光谱指数合成影像，计算差值（后期 - 前期），
+ * 按可配置的变化等级（如严重减少……显著增加）进行分级，并统计两期等级之间的转移面积。
+ * 主要功能包括：
+ * 1. 使用与 landsat_fvc_analysis.js 相同的像元二分模型构建 FVC，或使用 landsat_indices.js 中注册的任意光谱指数
+ * 2. 计算差值并按变化等级分级
+ * 3. 导出差值与分级结果（GeoTIFF）、变化等级面积表和转移矩阵面积表（CSV）到 Google Drive
+ * 4. 在地图上显示分级结果及图例
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供，NDVI阈值和像元二分模型由 landsat_fvc.js 提供。
+ */
+
+// 引入公共核心模块、光谱指数注册表、FVC工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var fvcTools = require('users/your_username/GEE_script4landsat:landsat_fvc');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+// 默认变化等级（按差值从小到大排列，min 包含、max 不包含，缺省表示无界）
+var DEFAULT_CHANGE_CLASSES = [
+  {name: '严重减少', max: -0.3, color: '#A50026'},
+  {name: '中度减少', min: -0.3, max: -0.1, color: '#F46D43'},
+  {name: '基本不变', min: -0.1, max: 0.1, color: '#FFFFBF'},
+  {name: '中度增加', min: 0.1, max: 0.3, color: '#66BD63'},
+  {name: '显著增加', min: 0.3, color: '#006837'}
+];
+
+// 默认状态等级（用于转移矩阵，按 FVC 常用分级）
+var DEFAULT_LEVELS = [
+  {name: '极低覆盖', max: 0.1},
+  {name: '低覆盖', min: 0.1, max: 0.3},
+  {name: '中低覆盖', min: 0.3, max: 0.5},
+  {name: '中高覆盖', min: 0.5, max: 0.7},
+  {name: '高覆盖', min: 0.7}
+];
+
+/**
+ * 按等级区间对影像分级，等级编号从1开始，与等级列表顺序一致
+ * @param {ee.Image} image - 单波段影像
+ * @param {Array<Object>} classes - 等级列表，每个对象包含 name、min（包含）、max（不包含）
+ * @return {ee.Image} 等级影像（未落入任何等级的像元被掩膜）
+ */
+function classify(image, classes) {
+  var classified = ee.Image(0);
+  classes.forEach(function(item, i) {
+    var inClass = ee.Image(1);
+    if (item.min !== undefined) {
+      inClass = inClass.and(image.gte(item.min));
+    }
+    if (item.max !== undefined) {
+      inClass = inClass.and(image.lt(item.max));
+    }
+    classified = classified.where(inClass, i + 1);
+  });
+  return classified.updateMask(classified.gt(0).and(image.mask())).toInt8();
+}
+
+/**
+ * 按研究区域统计各分组的面积
+ * @param {ee.Image} groupImage - 整型分组影像
+ * @param {ee.FeatureCollection} geometry - 研究区域
+ * @return {ee.List} 分组列表，每个元素为 {group, sum}，sum 为面积（平方公里）
+ */
+function groupAreas(groupImage, geometry) {
+  var grouped = ee.Image.pixelArea().divide(1e6).addBands(groupImage).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'group'}),
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e13,
+    bestEffort: true
+  });
+  return ee.List(grouped.get('groups'));
+}
+
+/**
+ * 构建单个时间段的合成影像
+ * @param {Object} params - 参数对象（参见 detectChange）
+ * @param {Object} period - 时间段 {start, end}
+ * @return {ee.Image|null} 名为 params.variable 的单波段合成影像，时间段内无影像时返回 null
+ */
+function buildComposite(params, period) {
+  var isFVC = params.variable === 'FVC';
+  var collection = core.getMergedCollection(params.satelliteIds, {
+    startDate: period.start,
+    endDate: period.end,
+    geometry: params.geometry,
+    mask: params.mask,
+    harmonize: params.harmonize
+  }).map(indices.addIndex(isFVC ? 'NDVI' : params.variable));
+
+  var imageCount = collection.size().getInfo();
+  print('时间段 ' + period.start + ' 至 ' + period.end + ' 的影像数量:', imageCount);
+  if (imageCount === 0) {
+    return null;
+  }
+
+  if (!isFVC) {
+    return core.compositeStats(collection, params.variable, params.statType).rename(params.variable);
+  }
+
+  // 与 landsat_fvc_analysis.js 相同的FVC计算流程
+  var fvcResult = fvcTools.buildFVC(collection, params);
+  if (params.autoThreshold) {
+    print('NDVI_soil:', fvcResult.ndvi_soil);
+    print('NDVI_veg:', fvcResult.ndvi_veg);
+  }
+  return fvcResult.fvc;
+}
+
+/**
+ * 在地图上添加分级图例
+ * @param {string} title - 图例标题
+ * @param {Array<Object>} classes - 等级列表，每个对象包含 name 和 color
+ */
+function addLegend(title, classes) {
+  var legend = ui.Panel({style: {position: 'bottom-left', padding: '8px 15px'}});
+  legend.add(ui.Label(title, {fontWeight: 'bold', fontSize: '14px', margin: '0 0 6px 0'}));
+  classes.forEach(function(item) {
+    legend.add(ui.Panel([
+      ui.Label('', {backgroundColor: item.color, padding: '8px', margin: '0 0 4px 0'}),
+      ui.Label(item.name, {margin: '0 0 4px 6px'})
+    ], ui.Panel.Layout.Flow('horizontal')));
+  });
+  Map.add(legend);
+}
+
+/**
+ * 主函数：两期变化检测
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {Object} params.before - 前期时间段 {start, end}
+ * @param {Object} params.after - 后期时间段 {start, end}
+ * @param {string} [params.variable='FVC'] - 对比变量：'FVC' 或 landsat_indices.js 中注册的指数名称（如 'NDVI'）
+ * @param {Array<string>} [params.satelliteIds=['L8']] - 卫星标识符列表 ['L4', 'L5', 'L7', 'L8', 'L9']
+ * @param {string} [params.statType='median'] - 指数的统计方式（variable 不为 'FVC' 时使用），参见 landsat_core.js 中的 resolveStats
+ * @param {string} [params.ndviType='max'] - FVC的NDVI合成方法 ('max' 或 'mean')
+ * @param {boolean} [params.autoThreshold=false] - FVC是否自动计算NDVI阈值（两期分别计算）
+ * @param {number} [params.ndvi_soil=0.2] - 土壤NDVI阈值（当autoThreshold为false时使用）
+ * @param {number} [params.ndvi_veg=0.86] - 植被NDVI阈值（当autoThreshold为false时使用）
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {boolean|string} [params.harmonize=false] - 是否将 TM/ETM+ 反射率归一化至 OLI（true、'roy2016_rma' 或 'roy2016_ols'）
+ * @param {Array<Object>} [params.changeClasses] - 差值变化等级列表，每个对象包含 name、min（包含）、max（不包含）、color，
+ *   按差值从小到大排列，默认参见 DEFAULT_CHANGE_CLASSES
+ * @param {Array<Object>} [params.levels] - 两期状态等级列表（用于转移矩阵），每个对象包含 name、min、max，
+ *   默认为 FVC 常用分级，参见 DEFAULT_LEVELS；对比其他指数时建议自定义
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
+ * @param {string} params.outputPath - GDrive导出路径
+ * @return {ee.Image} 包含 before、after、difference、change_class 波段的变化检测结果，任一期无影像时返回 null
+ */
+exports.detectChange = function(params) {
+  // 设置默认值
+  params.variable = params.variable || 'FVC';
+  params.statType = params.statType || 'median';
+  params.ndviType = fvcTools.resolveNdviType(params.ndviType);
+  params.ndvi_soil = params.ndvi_soil || fvcTools.DEFAULT_NDVI_SOIL;
+  params.ndvi_veg = params.ndvi_veg || fvcTools.DEFAULT_NDVI_VEG;
+  params.satelliteIds = core.validateSatellites(params.satelliteIds || ['L8']);
+  params.changeClasses = params.changeClasses || DEFAULT_CHANGE_CLASSES;
+  params.levels = params.levels || DEFAULT_LEVELS;
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
+
+  // 验证对比变量和统计方式
+  if (params.variable !== 'FVC') {
+    indices.getIndex(params.variable);
+    if (core.resolveStats(params.statType).length !== 1) {
+      throw new Error('变化检测仅支持单个统计方式: ' + params.statType);
+    }
+  }
+
+  // 获取研究区域名称
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+  print('研究区域:', areaName);
+  print('对比变量:', params.variable);
+  print('前期:', params.before.start + ' 至 ' + params.before.end);
+  print('后期:', params.after.start + ' 至 ' + params.after.end);
+
+  var before = buildComposite(params, params.before);
+  var after = buildComposite(params, params.after);
+  if (!before || !after) {
+    print('警告：前期或后期时间段内未找到任何卫星影像，无法进行变化检测');
+    return null;
+  }
+
+  // 计算差值并分级
+  var difference = after.subtract(before).rename('difference');
+  var changeClass = classify(difference, params.changeClasses).rename('change_class');
+  var result = ee.Image.cat([before.rename('before'), after.rename('after'), difference, changeClass]);
+
+  // 导出差值与分级结果
+  var exportDescription = exporter.exportImage(result, {
+    description: areaName + '_' + params.variable + '_change_' +
+      params.before.start.substring(0, 4) + '_' + params.after.start.substring(0, 4),
+    fields: {area: areaName, product: params.variable + '_change', start: params.before.start, end: params.after.end},
+    region: params.geometry,
+    folder: params.outputPath,
+    config: params.exportOptions
+  });
+  print('导出任务已创建:', exportDescription);
+
+  // 变化等级面积表
+  var changeNames = params.changeClasses.map(function(item) { return item.name; });
+  var changeAreas = groupAreas(changeClass, params.geometry);
+  var changeTotal = ee.Number(changeAreas.iterate(function(group, sum) {
+    return ee.Number(sum).add(ee.Dictionary(group).get('sum'));
+  }, 0));
+  var changeTable = ee.FeatureCollection(changeAreas.map(function(group) {
+    group = ee.Dictionary(group);
+    var value = ee.Number(group.get('group')).int();
+    var area = ee.Number(group.get('sum'));
+    return ee.Feature(null, {
+      'class': value,
+      'name': ee.List(changeNames).get(value.subtract(1)),
+      'area_km2': area,
+      'percent': area.divide(changeTotal).multiply(100)
+    });
+  }));
+  Export.table.toDrive({
+    collection: changeTable,
+    description: exportDescription + '_class_area',
+    folder: params.outputPath,
+    fileFormat: 'CSV',
+    selectors: ['class', 'name', 'area_km2', 'percent']
+  });
+  print('变化等级面积:', changeTable);
+
+  // 转移矩阵面积表（转移编码 = 前期等级 × 100 + 后期等级）
+  var levelNames = params.levels.map(function(item) { return item.name; });
+  var transition = classify(before, params.levels).multiply(100)
+    .add(classify(after, params.levels)).toInt16();
+  var transitionTable = ee.FeatureCollection(groupAreas(transition, params.geometry).map(function(group) {
+    group = ee.Dictionary(group);
+    var code = ee.Number(group.get('group')).int();
+    var fromLevel = code.divide(100).floor();
+    var toLevel = code.mod(100);
+    return ee.Feature(null, {
+      'from_level': fromLevel,
+      'from_name': ee.List(levelNames).get(fromLevel.subtract(1)),
+      'to_level': toLevel,
+      'to_name': ee.List(levelNames).get(toLevel.subtract(1)),
+      'area_km2': group.get('sum')
+    });
+  }));
+  Export.table.toDrive({
+    collection: transitionTable,
+    description: exportDescription + '_transition',
+    folder: params.outputPath,
+    fileFormat: 'CSV',
+    selectors: ['from_level', 'from_name', 'to_level', 'to_name', 'area_km2']
+  });
+  print('等级转移面积:', transitionTable);
+
+  // 添加到地图显示
+  Map.centerObject(params.geometry, 9);
+  Map.addLayer(exporter.displayImage(difference, params.geometry, params.exportOptions), {
+    min: -0.5,
+    max: 0.5,
+    palette: ['#A50026', '#F46D43', '#FFFFBF', '#66BD63', '#006837']
+  }, params.variable + ' 差值', false);
+  Map.addLayer(exporter.displayImage(changeClass, params.geometry, params.exportOptions), {
+    min: 1,
+    max: params.changeClasses.length,
+    palette: params.changeClasses.map(function(item) { return item.color; })
+  }, params.variable + ' 变化等级');
+  Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
+  addLegend(params.variable + ' 变化等级', params.changeClasses);
+
+  return result;
+};
+
+// 使用示例
+var aoi = table; // 用户自定义研究区域
+
+var params = {
+  geometry: aoi,
+  before: {start: '2000-06-01', end: '2000-09-01'},
+  after: {start: '2020-06-01', end: '2020-09-01'},
+  variable: 'FVC',       // 'FVC' 或已注册的指数：NDVI、EVI、NBR 等
+  satelliteIds: ['L5', 'L7', 'L8', 'L9'],
+  ndviType: 'max',       // FVC的NDVI合成方法：'max' 或 'mean'
+  autoThreshold: false,  // 是否自动计算NDVI阈值
+  mask: 'standard',      // 掩膜方案：'basic'、'standard'、'strict'
+  harmonize: true,       // 跨传感器归一化：false、true(即 'roy2016_rma') 或 'roy2016_ols'
+  // 自定义变化等级示例：[{name: '减少', max: -0.1, color: 'red'}, {name: '不变', min: -0.1, max: 0.1, color: 'white'}, {name: '增加', min: 0.1, color: 'green'}]
+  changeClasses: null,   // null 使用默认的五级划分（±0.1、±0.3）
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'},  // 导出配置：如 {reference: 'users/your_username/grid', noData: -9999}，参见 landsat_export.js
+  outputPath: 'Change_Results'
+};
+
+exports.detectChange(params);
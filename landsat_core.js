@@ -0,0 +1,559 @@
+/**
+ * @fileoverview Landsat 公共核心模块
+ *
+ * 本模块为各分析脚本提供统一的基础工具，避免在每个脚本中重复维护同一套逻辑。
+ * 主要功能包括：
+ * 1. 统一定义 Landsat 4/5/7/8/9 Collection 2 Level 2 数据集
+ * 2. 将各传感器的原始波段映射为通用波段名（blue、green、red、nir、swir1、swir2、thermal）
+ * 3. 统一应用地表反射率（SR）和地表温度（ST）的缩放系数
+ * 4. 基于 QA_PIXEL / QA_RADSAT 的可配置掩膜方案（含置信度、辐射饱和及云缓冲）
+ * 5. 可选的 TM/ETM+ 至 OLI 跨传感器反射率归一化
+ * 6. 影像集合检索与合并（可限定为指定影像列表或排除指定影像）、路径行信息提取
+ * 7. 多统计量合成（均值、中值、标准差、任意百分位数、最小值/最大值、极差）
+ * 8. 合成影像的逐像元质量波段（有效观测次数、总观测次数、有效占比及被选中观测的日期）
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var core = require('users/your_username/GEE_script4landsat:landsat_core');
+ *
+ * 参考文献：
+ * [1] USGS. "Landsat 4-7 Collection 2 (C2) Level 2 Science Product Guide." (2022).
+ * [2] USGS. "Landsat 8-9 Collection 2 (C2) Level 2 Science Product Guide." (2022).
+ * [3] Roy, D. P., et al. "Characterization of Landsat-7 to Landsat-8 reflective wavelength and normalized difference
+ *     vegetation index continuity." Remote Sensing of Environment 185 (2016): 57-70.
+ */
+
+// 定义支持的卫星数据集及其原始波段与通用波段名的对应关系
+var SATELLITES = {
+  L4: {
+    name: 'LANDSAT/LT04/C02/T1_L2', startYear: 1982, endYear: 1993, sensor: 'TM',
+    bands: {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7', thermal: 'ST_B6'}
+  },
+  L5: {
+    name: 'LANDSAT/LT05/C02/T1_L2', startYear: 1984, endYear: 2012, sensor: 'TM',
+    bands: {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7', thermal: 'ST_B6'}
+  },
+  L7: {
+    name: 'LANDSAT/LE07/C02/T1_L2', startYear: 1999, endYear: 2022, sensor: 'ETM+',
+    bands: {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7', thermal: 'ST_B6'}
+  },
+  L8: {
+    name: 'LANDSAT/LC08/C02/T1_L2', startYear: 2013, endYear: null, sensor: 'OLI',
+    bands: {blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7', thermal: 'ST_B10'}
+  },
+  L9: {
+    name: 'LANDSAT/LC09/C02/T1_L2', startYear: 2021, endYear: null, sensor: 'OLI',
+    bands: {blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7', thermal: 'ST_B10'}
+  }
+};
+
+// 通用波段名
+var OPTICAL_BANDS = ['blue', 'green', 'red', 'nir', 'swir1', 'swir2'];
+var THERMAL_BAND = 'thermal';
+// 质量波段在各传感器中名称一致，保持原名
+var QA_BANDS = ['QA_PIXEL', 'QA_RADSAT', 'ST_QA'];
+
+// Collection 2 Level 2 缩放系数
+var SR_SCALE = 0.0000275;
+var SR_OFFSET = -0.2;
+var ST_SCALE = 0.00341802;  // 缩放后单位为开尔文
+var ST_OFFSET = 149.0;
+var ST_QA_SCALE = 0.01;     // ST_QA 缩放后为开尔文不确定度
+
+// QA_PIXEL 单比特标志位
+var QA_PIXEL_BITS = {
+  fill: 0,          // 填充值
+  dilatedCloud: 1,  // 膨胀云
+  cirrus: 2,        // 卷云（仅 L8/L9）
+  cloud: 3,         // 云
+  cloudShadow: 4,   // 云阴影
+  snow: 5,          // 雪/冰
+  clear: 6,         // 晴空
+  water: 7          // 水体
+};
+
+// QA_PIXEL 置信度字段（2比特）的起始位
+var QA_CONFIDENCE_BITS = {
+  cloud: 8,
+  cloudShadow: 10,
+  snow: 12,
+  cirrus: 14        // 仅 L8/L9
+};
+
+// 置信度等级
+var CONFIDENCE_LEVELS = {low: 1, medium: 2, high: 3};
+
+// QA_RADSAT 中波段1-7的辐射饱和标志位
+var RADSAT_BAND_BITS = 0x7F;
+
+// 预定义的掩膜方案
+var MASK_PROFILES = {
+  // 仅掩膜云和云阴影（与早期版本行为一致）
+  basic: {
+    bits: ['cloud', 'cloudShadow']
+  },
+  // 掩膜填充值、膨胀云、卷云、云、云阴影以及辐射饱和像元
+  standard: {
+    bits: ['fill', 'dilatedCloud', 'cirrus', 'cloud', 'cloudShadow'],
+    saturation: true
+  },
+  // 在 standard 基础上掩膜雪/冰，并掩膜中等及以上置信度的云、云阴影和卷云
+  strict: {
+    bits: ['fill', 'dilatedCloud', 'cirrus', 'cloud', 'cloudShadow', 'snow'],
+    confidence: {cloud: 'medium', cloudShadow: 'medium', cirrus: 'medium'},
+    saturation: true
+  }
+};
+
+// 跨传感器反射率归一化系数：TM/ETM+ 地表反射率线性转换至 OLI（顺序同 OPTICAL_BANDS）
+// OLI = slope * ETM+ + intercept，TM 与 ETM+ 光谱响应相近，沿用同一组系数
+var HARMONIZATION_METHODS = {
+  // Roy et al. (2016) 普通最小二乘回归系数
+  roy2016_ols: {
+    slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+    intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+  },
+  // Roy et al. (2016) 约化主轴回归系数
+  roy2016_rma: {
+    slopes: [0.9785, 0.9542, 0.9825, 1.0073, 1.0171, 0.9949],
+    intercepts: [-0.0095, -0.0016, -0.0022, -0.0021, -0.0030, 0.0029]
+  }
+};
+
+// 支持的统计方式及其显示名称（另支持任意百分位数，如 'p90'）
+var STAT_TYPES = {
+  'mean': '均值',
+  'max': '最大值',
+  'min': '最小值',
+  'median': '中值',
+  'stdDev': '标准差',
+  'range': '极差'
+};
+
+/**
+ * 验证卫星标识符列表，不支持的卫星将被跳过
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ * @return {Array<string>} 有效的卫星标识符列表
+ */
+function validateSatellites(satelliteIds) {
+  return satelliteIds.filter(function(satelliteId) {
+    if (!SATELLITES[satelliteId]) {
+      print('警告：不支持的卫星类型: ' + satelliteId + '，将被跳过');
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 将原始影像转换为通用波段名并应用缩放系数
+ * @param {ee.Image} image - Collection 2 Level 2 原始影像
+ * @param {string} satelliteId - 卫星标识符 ('L4', 'L5', 'L7', 'L8', 'L9')
+ * @return {ee.Image} 包含通用波段名、已缩放的影像，并带有 SATELLITE 属性
+ */
+function prepareImage(image, satelliteId) {
+  var bands = SATELLITES[satelliteId].bands;
+
+  // 地表反射率波段
+  var optical = image.select(OPTICAL_BANDS.map(function(band) {
+    return bands[band];
+  }), OPTICAL_BANDS).multiply(SR_SCALE).add(SR_OFFSET);
+
+  // 地表温度波段（开尔文）
+  var thermal = image.select([bands.thermal], [THERMAL_BAND])
+    .multiply(ST_SCALE).add(ST_OFFSET);
+
+  // ST_QA 不确定度（开尔文），QA_PIXEL 和 QA_RADSAT 为位掩码，不做缩放
+  var stQA = image.select('ST_QA').multiply(ST_QA_SCALE);
+
+  return image
+    .addBands(optical)
+    .addBands(thermal)
+    .addBands(stQA, null, true)
+    .select(OPTICAL_BANDS.concat([THERMAL_BAND], QA_BANDS))
+    .set('SATELLITE', satelliteId);
+}
+
+/**
+ * 验证跨传感器归一化方法
+ * @param {boolean|string} [harmonize=false] - false 表示不进行归一化，true 等同于 'roy2016_rma'，
+ *   或直接指定 HARMONIZATION_METHODS 中的方法名称
+ * @return {string|null} 归一化方法名称，不进行归一化时返回 null
+ */
+function resolveHarmonization(harmonize) {
+  if (!harmonize) {
+    return null;
+  }
+  var method = harmonize === true ? 'roy2016_rma' : harmonize;
+  if (!HARMONIZATION_METHODS[method]) {
+    throw new Error('不支持的归一化方法: ' + method + '。请使用 ' + Object.keys(HARMONIZATION_METHODS).join('、'));
+  }
+  return method;
+}
+
+/**
+ * 将 TM/ETM+ 地表反射率线性转换至 OLI，OLI 影像保持不变
+ * @param {ee.Image} image - 经 prepareImage 处理的影像
+ * @param {string} satelliteId - 卫星标识符
+ * @param {boolean|string} [harmonize=false] - 归一化方法，参见 resolveHarmonization
+ * @return {ee.Image} 归一化后的影像，带有 HARMONIZATION 属性
+ */
+function harmonizeImage(image, satelliteId, harmonize) {
+  var method = resolveHarmonization(harmonize);
+  if (!method || SATELLITES[satelliteId].sensor === 'OLI') {
+    return image;
+  }
+
+  var coefficients = HARMONIZATION_METHODS[method];
+  var optical = image.select(OPTICAL_BANDS)
+    .multiply(ee.Image.constant(coefficients.slopes))
+    .add(ee.Image.constant(coefficients.intercepts))
+    .rename(OPTICAL_BANDS);
+
+  return image.addBands(optical, null, true).set('HARMONIZATION', method);
+}
+
+/**
+ * 将掩膜参数解析为统一的掩膜配置
+ * @param {string|Array|Object} [mask='basic'] - 掩膜参数，可以是：
+ *   - 预定义方案名称：'basic'、'standard'、'strict'
+ *   - 标志位列表：如 ['cloud', 'cloudShadow', 5]，元素为 QA_PIXEL_BITS 中的名称或比特序号
+ *   - 配置对象：{profile, bits, confidence, saturation, buffer}，显式字段覆盖 profile 中的同名字段
+ *     confidence 形如 {cloud: 'medium'}，等级可为 'low'、'medium'、'high' 或 1-3
+ *     saturation 为 true 时依据 QA_RADSAT 掩膜辐射饱和像元
+ *     buffer 为云及云阴影外扩的缓冲距离（米）
+ * @return {Object} 包含 bits、confidence、saturation、buffer 的掩膜配置
+ */
+function resolveMask(mask) {
+  if (mask === undefined || mask === null) {
+    mask = 'basic';
+  }
+  if (typeof mask === 'string') {
+    mask = {profile: mask};
+  } else if (Array.isArray(mask)) {
+    mask = {bits: mask};
+  }
+
+  var base = {};
+  if (mask.profile) {
+    base = MASK_PROFILES[mask.profile];
+    if (!base) {
+      throw new Error('不支持的掩膜方案: ' + mask.profile + '。请使用 ' + Object.keys(MASK_PROFILES).join('、'));
+    }
+  }
+
+  var bits = (mask.bits || base.bits || []).map(function(bit) {
+    var bitIndex = typeof bit === 'number' ? bit : QA_PIXEL_BITS[bit];
+    if (bitIndex === undefined || bitIndex < 0 || bitIndex > 7) {
+      throw new Error('不支持的 QA_PIXEL 标志位: ' + bit);
+    }
+    return bitIndex;
+  });
+
+  var confidence = mask.confidence || base.confidence || {};
+  Object.keys(confidence).forEach(function(key) {
+    if (QA_CONFIDENCE_BITS[key] === undefined) {
+      throw new Error('不支持的置信度类型: ' + key);
+    }
+    var level = confidence[key];
+    if (typeof level === 'string') {
+      level = CONFIDENCE_LEVELS[level];
+    }
+    if (!(level >= 1 && level <= 3)) {
+      throw new Error('不支持的置信度等级: ' + confidence[key]);
+    }
+  });
+
+  return {
+    bits: bits,
+    confidence: confidence,
+    saturation: mask.saturation !== undefined ? mask.saturation : (base.saturation || false),
+    buffer: mask.buffer !== undefined ? mask.buffer : (base.buffer || 0)
+  };
+}
+
+/**
+ * 根据掩膜配置对Landsat影像进行云、云阴影及其他质量问题的掩膜处理
+ * @param {ee.Image} image - 输入影像（需包含 QA_PIXEL，启用饱和掩膜时需包含 QA_RADSAT）
+ * @param {string|Array|Object} [mask='basic'] - 掩膜参数，参见 resolveMask
+ * @return {ee.Image} 掩膜后的影像
+ */
+function maskClouds(image, mask) {
+  var config = resolveMask(mask);
+  var qa = image.select('QA_PIXEL');
+
+  // 填充值不参与缓冲
+  var fillMask = ee.Image.constant(0);
+  var cloudMask = ee.Image.constant(0);
+  config.bits.forEach(function(bit) {
+    var flag = qa.bitwiseAnd(1 << bit).neq(0);
+    if (bit === QA_PIXEL_BITS.fill) {
+      fillMask = fillMask.or(flag);
+    } else {
+      cloudMask = cloudMask.or(flag);
+    }
+  });
+
+  // 置信度字段：达到指定等级及以上即视为无效
+  Object.keys(config.confidence).forEach(function(key) {
+    var level = config.confidence[key];
+    if (typeof level === 'string') {
+      level = CONFIDENCE_LEVELS[level];
+    }
+    var value = qa.rightShift(QA_CONFIDENCE_BITS[key]).bitwiseAnd(3);
+    cloudMask = cloudMask.or(value.gte(level));
+  });
+
+  // 云及云阴影缓冲
+  if (config.buffer > 0) {
+    cloudMask = cloudMask.focalMax({radius: config.buffer, units: 'meters'});
+  }
+
+  var invalid = cloudMask.or(fillMask);
+
+  // 辐射饱和
+  if (config.saturation) {
+    invalid = invalid.or(image.select('QA_RADSAT').bitwiseAnd(RADSAT_BAND_BITS).neq(0));
+  }
+
+  return image.updateMask(invalid.not());
+}
+
+/**
+ * 将影像列表参数统一为影像ID列表
+ * 影像ID为数据集中的影像编号（如 'LC08_123032_20230101'，即 landsat_metadata.js 元数据表格中的 image_id），
+ * 也可使用完整资产路径（如 'LANDSAT/LC08/C02/T1_L2/LC08_123032_20230101'），仅取最后一段。
+ * @param {Array<string>|ee.List|string|ee.FeatureCollection} scenes - 影像ID列表，或包含 image_id 字段的表格
+ *   （表格资产路径或 ee.FeatureCollection，如 landsat_metadata.js 或 landsat_selection.js 导出后上传的 CSV）
+ * @return {ee.List} 影像ID列表
+ */
+function resolveSceneIds(scenes) {
+  var ids;
+  if (typeof scenes === 'string' || scenes instanceof ee.FeatureCollection) {
+    ids = ee.FeatureCollection(scenes).aggregate_array('image_id');
+  } else {
+    ids = ee.List(scenes);
+  }
+  return ids.map(function(id) {
+    return ee.String(id).split('/').get(-1);
+  });
+}
+
+/**
+ * 获取单颗卫星经过波段统一、缩放和云掩膜处理的影像集合
+ * @param {string} satelliteId - 卫星标识符
+ * @param {Object} options - 检索参数
+ * @param {string} options.startDate - 起始日期 (YYYY-MM-DD)
+ * @param {string} options.endDate - 结束日期 (YYYY-MM-DD)
+ * @param {ee.Geometry|ee.FeatureCollection} options.geometry - 研究区域
+ * @param {string|Array|Object} [options.mask='basic'] - 掩膜参数，参见 resolveMask
+ * @param {boolean|string} [options.harmonize=false] - 跨传感器归一化方法，参见 resolveHarmonization
+ * @param {Array<string>|string|ee.FeatureCollection} [options.sceneIds] - 仅使用指定影像，参见 resolveSceneIds；
+ *   指定影像仍需位于时间范围和研究区域内，以便多时间段分析时按时间段划分
+ * @param {Array<string>|string|ee.FeatureCollection} [options.excludeIds] - 排除指定影像，参见 resolveSceneIds
+ * @return {ee.ImageCollection} 处理后的影像集合。除掩膜后的各波段外，每幅影像还包含不受云掩膜影响的
+ *   OBSERVED 波段（非填充像元为1，其余被掩膜），用于统计总观测次数
+ */
+function getCollection(satelliteId, options) {
+  if (!SATELLITES[satelliteId]) {
+    throw new Error('不支持的卫星类型: ' + satelliteId);
+  }
+
+  // 在客户端提前验证掩膜和归一化参数
+  resolveMask(options.mask);
+  resolveHarmonization(options.harmonize);
+
+  var collection = ee.ImageCollection(SATELLITES[satelliteId].name)
+    .filterDate(options.startDate, options.endDate)
+    .filterBounds(options.geometry);
+  if (options.sceneIds) {
+    collection = collection.filter(ee.Filter.inList('system:index', resolveSceneIds(options.sceneIds)));
+  }
+  if (options.excludeIds) {
+    collection = collection.filter(ee.Filter.inList('system:index', resolveSceneIds(options.excludeIds)).not());
+  }
+
+  return collection.map(function(image) {
+    var prepared = harmonizeImage(prepareImage(image, satelliteId), satelliteId, options.harmonize);
+    var observed = prepared.select('QA_PIXEL').bitwiseAnd(1 << QA_PIXEL_BITS.fill).eq(0)
+      .selfMask()
+      .rename('OBSERVED');
+    return maskClouds(prepared, options.mask).addBands(observed);
+  });
+}
+
+/**
+ * 获取多颗卫星处理后的合并影像集合
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ * @param {Object} options - 检索参数，同 getCollection
+ * @return {ee.ImageCollection} 合并后的影像集合
+ */
+function getMergedCollection(satelliteIds, options) {
+  var mergedCollection = ee.ImageCollection([]);
+  satelliteIds.forEach(function(satelliteId) {
+    mergedCollection = mergedCollection.merge(getCollection(satelliteId, options));
+  });
+  return mergedCollection;
+}
+
+/**
+ * 将统计方式参数统一为统计方式列表
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表。支持 'mean'、'median'、'min'、'max'、
+ *   'stdDev'、'range'（最大值与最小值之差）以及任意百分位数 'p0' - 'p100'（如 'p10'、'p90'）
+ * @return {Array<string>} 统计方式列表
+ */
+function resolveStats(statType) {
+  var stats = Array.isArray(statType) ? statType : [statType];
+  if (stats.length === 0) {
+    throw new Error('至少需要指定一种统计方式');
+  }
+  stats.forEach(function(stat) {
+    if (STAT_TYPES[stat]) {
+      return;
+    }
+    var match = /^p(\d{1,3})$/.exec(stat);
+    if (!match || Number(match[1]) > 100) {
+      throw new Error('不支持的统计方式: ' + stat + '。请使用 ' + Object.keys(STAT_TYPES).join('、') + ' 或百分位数（如 p90）');
+    }
+  });
+  return stats;
+}
+
+/**
+ * 获取统计方式的显示名称
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表
+ * @return {string} 显示名称，多个统计方式以顿号分隔
+ */
+function statLabel(statType) {
+  return resolveStats(statType).map(function(stat) {
+    return STAT_TYPES[stat] || stat.substring(1) + '%分位数';
+  }).join('、');
+}
+
+/**
+ * 获取统计方式在文件名中的后缀
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表
+ * @return {string} 文件名后缀，多个统计方式以'-'连接，如 'mean-p90'
+ */
+function statSuffix(statType) {
+  return resolveStats(statType).join('-');
+}
+
+/**
+ * 获取统计合成结果的波段名称
+ * 统计方式为字符串时输出单波段，沿用原波段名；为列表时每个统计方式输出一个波段，命名为 <波段名>_<统计方式>
+ * @param {string} band - 参与合成的波段名称
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表
+ * @return {Array<string>} 输出波段名称列表
+ */
+function statBandNames(band, statType) {
+  if (!Array.isArray(statType)) {
+    resolveStats(statType);
+    return [band];
+  }
+  return resolveStats(statType).map(function(stat) {
+    return band + '_' + stat;
+  });
+}
+
+/**
+ * 按一种或多种统计方式合成影像集合中的指定波段
+ * @param {ee.ImageCollection} collection - 影像集合
+ * @param {string} band - 参与合成的波段名称
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表，参见 resolveStats
+ * @return {ee.Image} 合成影像，波段命名规则参见 statBandNames
+ */
+function compositeStats(collection, band, statType) {
+  var values = collection.select(band);
+  var images = resolveStats(statType).map(function(stat) {
+    if (stat === 'range') {
+      return values.max().subtract(values.min());
+    }
+    if (STAT_TYPES[stat]) {
+      return values.reduce(ee.Reducer[stat]());
+    }
+    return values.reduce(ee.Reducer.percentile([Number(stat.substring(1))]));
+  });
+  return ee.Image.cat(images).rename(statBandNames(band, statType));
+}
+
+/**
+ * 计算合成影像的逐像元质量波段
+ * @param {ee.ImageCollection} collection - 由 getCollection / getMergedCollection 得到并已计算目标波段的影像集合
+ * @param {string} band - 参与合成的波段名称
+ * @param {string|Array<string>} statType - 统计方式或统计方式列表，参见 resolveStats
+ * @return {ee.Image} 质量波段影像，包含：
+ *   valid_count - 云掩膜后的有效观测次数
+ *   total_count - 总观测次数（非填充像元）
+ *   clear_pct   - 有效观测占比（%）
+ *   obs_year、obs_doy - 被选中观测的年份和年积日（仅当唯一的统计方式为 'max' 或 'min' 时）
+ */
+function qualityBands(collection, band, statType) {
+  var stats = resolveStats(statType);
+  statType = stats.length === 1 ? stats[0] : null;
+
+  var validCount = collection.select(band).count().rename('valid_count');
+  var totalCount = collection.select('OBSERVED').count().rename('total_count');
+  var clearPct = validCount.divide(totalCount).multiply(100).rename('clear_pct');
+  var quality = ee.Image.cat([validCount, totalCount, clearPct]);
+
+  if (statType === 'max' || statType === 'min') {
+    var sign = statType === 'max' ? 1 : -1;
+    var selected = collection.map(function(image) {
+      var date = ee.Date(image.get('system:time_start'));
+      return image.select(band).multiply(sign).rename('quality')
+        .addBands(ee.Image.constant(date.get('year')).rename('obs_year'))
+        .addBands(ee.Image.constant(date.getRelative('day', 'year').add(1)).rename('obs_doy'))
+        .updateMask(image.select(band).mask());
+    }).qualityMosaic('quality');
+    quality = quality.addBands(selected.select(['obs_year', 'obs_doy']));
+  }
+
+  return quality;
+}
+
+/**
+ * 从影像集合中提取路径行信息
+ * @param {ee.ImageCollection} collection - Landsat影像集合
+ * @return {ee.List} WRS-2系统的路径行号列表
+ */
+function extractPathRows(collection) {
+  // 将每个影像的路径行信息转换为Feature
+  var features = collection.map(function(image) {
+    var path = ee.Number(image.get('WRS_PATH'));
+    var row = ee.Number(image.get('WRS_ROW'));
+    return ee.Feature(null, {
+      'pathRow': ee.String(path).cat('_').cat(row),
+      'path': path,
+      'row': row
+    });
+  });
+
+  // 使用pathRow属性去重并提取唯一值
+  return ee.FeatureCollection(features).distinct(['pathRow']).aggregate_array('pathRow');
+}
+
+exports.SATELLITES = SATELLITES;
+exports.OPTICAL_BANDS = OPTICAL_BANDS;
+exports.THERMAL_BAND = THERMAL_BAND;
+exports.QA_BANDS = QA_BANDS;
+exports.QA_PIXEL_BITS = QA_PIXEL_BITS;
+exports.QA_CONFIDENCE_BITS = QA_CONFIDENCE_BITS;
+exports.MASK_PROFILES = MASK_PROFILES;
+exports.HARMONIZATION_METHODS = HARMONIZATION_METHODS;
+exports.STAT_TYPES = STAT_TYPES;
+exports.validateSatellites = validateSatellites;
+exports.prepareImage = prepareImage;
+exports.resolveHarmonization = resolveHarmonization;
+exports.harmonizeImage = harmonizeImage;
+exports.resolveMask = resolveMask;
+exports.maskClouds = maskClouds;
+exports.resolveSceneIds = resolveSceneIds;
+exports.getCollection = getCollection;
+exports.getMergedCollection = getMergedCollection;
+exports.resolveStats = resolveStats;
+exports.statLabel = statLabel;
+exports.statSuffix = statSuffix;
+exports.statBandNames = statBandNames;
+exports.compositeStats = compositeStats;
+exports.qualityBands = qualityBands;
+exports.extractPathRows = extractPathRows;
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview 研究区域覆盖规划工具
+ *
+ * 本模块基于 landsat_metadata.js 中 searchScenes 检索到的影像，分析影像足迹对研究区域的覆盖情况：
+ * 1. 逐获取日期统计当天所有影像对研究区域的覆盖比例
+ * 2. 按时间窗口（默认16天，即单颗卫星的重访周期）推荐覆盖研究区域所需的影像组合：
+ *    每一步选取新增无云覆盖面积（新增覆盖面积 ×（1 - 云量/100））最大的影像（贪心算法），直至完全覆盖或无可用影像；
+ *    贪心结果通常接近但不保证是影像数量最少的组合
+ * 3. 生成影像足迹要素集合，用于地图叠加显示（按卫星或云量着色）
+ * 4. 将影像足迹（裁剪至研究区域或完整足迹）连同元数据表格字段导出为 SHP / KML / GeoJSON
+ *
+ * 影像云量优先使用研究区域云量（AOI_CLOUD_COVER，需在 searchScenes 中启用 aoiCloud），否则使用整景云量（CLOUD_COVER）。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var coverage = require('users/your_username/GEE_script4landsat:landsat_coverage');
+ *   var footprints = coverage.sceneFootprints(result.collection);
+ *   var plan = coverage.planCoverage(footprints, table, {startDate: '2023-01-01', endDate: '2023-12-31'});
+ */
+
+// 默认时间窗口长度（天）
+var DEFAULT_WINDOW_DAYS = 16;
+
+// 默认最小新增覆盖比例：新增覆盖面积小于研究区域面积的该比例时不选取该影像
+var DEFAULT_MIN_GAIN = 0.01;
+
+// 几何运算的容差（米）
+var MAX_ERROR = 30;
+
+// 逐日期覆盖表和覆盖规划表的输出字段
+var DATE_COLUMNS = ['date_acquired', 'scene_count', 'satellites', 'image_ids', 'coverage_pct', 'mean_cloud'];
+var PLAN_COLUMNS = ['window_start', 'window_end', 'candidate_count', 'scene_count', 'image_ids',
+  'coverage_pct', 'complete', 'mean_cloud', 'max_cloud'];
+
+// 支持的足迹导出格式
+var FOOTPRINT_FORMATS = ['SHP', 'KML', 'KMZ', 'GeoJSON'];
+
+// 足迹导出的几何范围：clipped 裁剪至研究区域，unclipped 完整足迹，both 两者都导出
+var FOOTPRINT_CLIP_MODES = ['clipped', 'unclipped', 'both'];
+
+// 按卫星着色的颜色
+var SATELLITE_COLORS = {
+  'L4': '8E44AD',
+  'L5': '2E86C1',
+  'L7': '27AE60',
+  'L8': 'F39C12',
+  'L9': 'C0392B'
+};
+
+// 按云量着色的分级（上限不包含）及颜色
+var CLOUD_CLASSES = [
+  {max: 10, color: '1A9850', name: '<10%'},
+  {max: 30, color: 'A6D96A', name: '10-30%'},
+  {max: 60, color: 'FDAE61', name: '30-60%'},
+  {max: 101, color: 'D73027', name: '≥60%'}
+];
+
+/**
+ * 获取影像云量：优先使用研究区域云量，否则使用整景云量
+ * @param {ee.Image} image - searchScenes 检索到的影像
+ * @return {ee.Number} 云量（百分比）
+ */
+function sceneCloud(image) {
+  var aoiCloud = image.get('AOI_CLOUD_COVER');
+  return ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(aoiCloud, null), image.get('CLOUD_COVER'), aoiCloud));
+}
+
+/**
+ * 生成影像足迹要素集合
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @return {ee.FeatureCollection} 影像足迹，属性包含 image_id、satellite、path、row、date_acquired、
+ *   system:time_start 和 scene_cloud（研究区域云量或整景云量）
+ */
+function sceneFootprints(collection) {
+  return ee.FeatureCollection(collection.map(function(image) {
+    return ee.Feature(image.geometry(), {
+      'image_id': image.get('IMAGE_ID'),
+      'satellite': image.get('SATELLITE'),
+      'path': image.get('WRS_PATH'),
+      'row': image.get('WRS_ROW'),
+      'date_acquired': image.get('DATE_ACQUIRED'),
+      'system:time_start': image.get('system:time_start'),
+      'scene_cloud': sceneCloud(image)
+    });
+  }));
+}
+
+/**
+ * 逐获取日期统计影像对研究区域的覆盖比例
+ * @param {ee.FeatureCollection} footprints - sceneFootprints 的结果
+ * @param {ee.FeatureCollection|ee.Geometry} geometry - 研究区域
+ * @return {ee.FeatureCollection} 每个获取日期一行，包含 DATE_COLUMNS 中的字段
+ */
+function coverageByDate(footprints, geometry) {
+  var region = ee.FeatureCollection(geometry).geometry();
+  var aoiArea = region.area(MAX_ERROR);
+  var dates = ee.List(footprints.aggregate_array('date_acquired')).distinct().sort();
+
+  return ee.FeatureCollection(dates.map(function(date) {
+    var subset = footprints.filter(ee.Filter.eq('date_acquired', date));
+    var covered = subset.geometry(MAX_ERROR).intersection(region, MAX_ERROR);
+    return ee.Feature(null, {
+      'date_acquired': date,
+      'scene_count': subset.size(),
+      'satellites': ee.List(subset.aggregate_array('satellite')).distinct().join(','),
+      'image_ids': ee.List(subset.aggregate_array('image_id')).join(';'),
+      'coverage_pct': covered.area(MAX_ERROR).divide(aoiArea).multiply(100),
+      'mean_cloud': subset.aggregate_mean('scene_cloud')
+    });
+  }));
+}
+
+/**
+ * 在单个时间窗口内贪心选取覆盖研究区域的影像：每一步在新增覆盖面积超过最小值的影像中，
+ * 选取新增无云覆盖面积（新增覆盖面积 ×（1 - 云量/100））最大者，即同时考虑新增覆盖面积和云量
+ * 新增覆盖面积由影像足迹几何与研究区域求交得到，不依赖 AOI_COVERAGE；研究区域云量以影像覆盖的研究区域像元为分母，
+ * 因此部分覆盖研究区域的影像按其实际新增面积计入，不会因单景影像而提前结束选取
+ * @param {ee.FeatureCollection} candidates - 时间窗口内的影像足迹
+ * @param {ee.Geometry} region - 研究区域几何
+ * @param {number} minGain - 最小新增覆盖比例
+ * @return {ee.Dictionary} {covered: 已覆盖的研究区域几何, selected: 选中的影像足迹列表}
+ */
+function selectScenes(candidates, region, minGain) {
+  var minArea = region.area(MAX_ERROR).multiply(minGain);
+
+  // 每一步最多选取一景影像，步数为候选影像数量；无影像可选后剩余步骤不再改变结果
+  return ee.Dictionary(ee.List.sequence(1, candidates.size().max(1)).iterate(function(step, state) {
+    state = ee.Dictionary(state);
+    var covered = ee.Geometry(state.get('covered'));
+    var remaining = ee.FeatureCollection(state.get('remaining'));
+    var gains = remaining.map(function(feature) {
+      var gain = feature.geometry().intersection(region, MAX_ERROR).difference(covered, MAX_ERROR).area(MAX_ERROR);
+      var clearGain = gain.multiply(ee.Number(100).subtract(feature.get('scene_cloud')).divide(100));
+      return ee.Feature(null, {'image_id': feature.get('image_id'), 'gain': gain, 'clear_gain': clearGain});
+    }).filter(ee.Filter.gt('gain', minArea));
+    // 为空时本步不选取影像
+    var bestIds = gains.sort('clear_gain', false).limit(1).aggregate_array('image_id');
+    var best = remaining.filter(ee.Filter.inList('image_id', bestIds));
+    return ee.Dictionary({
+      covered: covered.union(best.geometry(MAX_ERROR).intersection(region, MAX_ERROR), MAX_ERROR),
+      selected: ee.List(state.get('selected')).cat(best.toList(1)),
+      remaining: remaining.filter(ee.Filter.inList('image_id', bestIds).not())
+    });
+  }, ee.Dictionary({
+    covered: ee.Geometry.MultiPolygon([]),
+    selected: ee.List([]),
+    remaining: candidates
+  })));
+}
+
+/**
+ * 按时间窗口推荐覆盖研究区域的影像组合
+ * @param {ee.FeatureCollection} footprints - sceneFootprints 的结果
+ * @param {ee.FeatureCollection|ee.Geometry} geometry - 研究区域
+ * @param {Object} options - 参数对象
+ * @param {string} options.startDate - 起始日期 'YYYY-MM-DD'
+ * @param {string} options.endDate - 结束日期 'YYYY-MM-DD'（不包含），必须晚于起始日期
+ * @param {number} [options.windowDays=16] - 时间窗口长度（天）
+ * @param {number} [options.minGain=0.01] - 最小新增覆盖比例（相对研究区域面积）
+ * @return {ee.FeatureCollection} 每个时间窗口一行，包含 PLAN_COLUMNS 中的字段及 selected_ids（选中影像ID列表）
+ */
+function planCoverage(footprints, geometry, options) {
+  if (!(options.startDate < options.endDate)) {
+    throw new Error('结束日期必须晚于起始日期: ' + options.startDate + ' - ' + options.endDate);
+  }
+  var windowDays = options.windowDays || DEFAULT_WINDOW_DAYS;
+  var minGain = options.minGain === undefined ? DEFAULT_MIN_GAIN : options.minGain;
+  var region = ee.FeatureCollection(geometry).geometry();
+  var aoiArea = region.area(MAX_ERROR);
+  var start = ee.Date(options.startDate);
+  var end = ee.Date(options.endDate);
+  var count = end.difference(start, 'day').divide(windowDays).ceil();
+
+  return ee.FeatureCollection(ee.List.sequence(0, count.subtract(1)).map(function(i) {
+    var windowStart = start.advance(ee.Number(i).multiply(windowDays), 'day');
+    var windowEnd = ee.Date(ee.Number(windowStart.advance(windowDays, 'day').millis()).min(end.millis()));
+    var candidates = footprints.filter(ee.Filter.and(
+      ee.Filter.gte('system:time_start', windowStart.millis()),
+      ee.Filter.lt('system:time_start', windowEnd.millis())
+    ));
+
+    var result = selectScenes(candidates, region, minGain);
+    var selected = ee.FeatureCollection(ee.List(result.get('selected')));
+    var coveragePct = ee.Geometry(result.get('covered')).area(MAX_ERROR).divide(aoiArea).multiply(100);
+    var ids = selected.aggregate_array('image_id');
+
+    return ee.Feature(null, {
+      'window_start': windowStart.format('YYYY-MM-dd'),
+      'window_end': windowEnd.format('YYYY-MM-dd'),
+      'candidate_count': candidates.size(),
+      'scene_count': selected.size(),
+      'image_ids': ee.List(ids).join(';'),
+      'selected_ids': ids,
+      'coverage_pct': coveragePct,
+      // 容差导致完全覆盖时比例可能略低于100%
+      'complete': coveragePct.gte(99.5),
+      'mean_cloud': selected.aggregate_mean('scene_cloud'),
+      'max_cloud': selected.aggregate_max('scene_cloud')
+    });
+  }));
+}
+
+/**
+ * 将覆盖分析结果导出为 CSV
+ * @param {ee.FeatureCollection} byDate - coverageByDate 的结果
+ * @param {ee.FeatureCollection} plan - planCoverage 的结果
+ * @param {Object} options - 参数对象
+ * @param {string} options.description - 导出任务名称前缀
+ * @param {string} [options.folder] - GDrive导出路径
+ */
+function exportCoverage(byDate, plan, options) {
+  Export.table.toDrive({
+    collection: byDate,
+    description: options.description + '_coverage_by_date',
+    folder: options.folder,
+    fileFormat: 'CSV',
+    selectors: DATE_COLUMNS
+  });
+  Export.table.toDrive({
+    collection: plan,
+    description: options.description + '_coverage_plan',
+    folder: options.folder,
+    fileFormat: 'CSV',
+    selectors: PLAN_COLUMNS
+  });
+  print('覆盖分析导出任务已创建:', options.description + '_coverage_by_date / _coverage_plan');
+}
+
+/**
+ * 在地图上叠加影像足迹，选中的影像以高亮显示
+ * @param {ee.FeatureCollection} footprints - sceneFootprints 的结果
+ * @param {ee.FeatureCollection} plan - planCoverage 的结果
+ */
+function addFootprintLayers(footprints, plan) {
+  var selectedIds = ee.List(plan.aggregate_array('selected_ids')).flatten();
+  Map.addLayer(footprints.style({color: '808080', fillColor: '00000000', width: 1}), {}, '影像足迹（全部）', false);
+  Map.addLayer(footprints.filter(ee.Filter.inList('image_id', selectedIds))
+    .style({color: 'FF8C00', fillColor: 'FF8C0022', width: 2}), {}, '影像足迹（推荐组合）');
+}
+
+/**
+ * 在地图上按卫星或云量着色显示影像足迹
+ * @param {ee.FeatureCollection} footprints - sceneFootprints 的结果
+ * @param {string} [colorBy='satellite'] - 着色方式：'satellite'（按卫星）或 'cloud'（按云量分级，参见 CLOUD_CLASSES）
+ */
+function addStyledFootprints(footprints, colorBy) {
+  colorBy = colorBy || 'satellite';
+  if (colorBy !== 'satellite' && colorBy !== 'cloud') {
+    throw new Error('不支持的足迹着色方式: ' + colorBy + '。请使用 "satellite" 或 "cloud"');
+  }
+
+  var colors;
+  if (colorBy === 'satellite') {
+    colors = ee.Dictionary(SATELLITE_COLORS);
+  } else {
+    colors = ee.List(CLOUD_CLASSES.map(function(item) { return item.color; }));
+  }
+  var styled = footprints.map(function(feature) {
+    var color;
+    if (colorBy === 'satellite') {
+      color = colors.get(feature.get('satellite'));
+    } else {
+      var cloud = ee.Number(feature.get('scene_cloud'));
+      var index = ee.List(CLOUD_CLASSES.map(function(item) { return item.max; }))
+        .map(function(max) { return cloud.gte(max); })
+        .reduce(ee.Reducer.sum());
+      color = colors.get(ee.Number(index).min(CLOUD_CLASSES.length - 1));
+    }
+    return feature.set('style', {color: color, fillColor: ee.String(color).cat('22'), width: 1});
+  });
+  Map.addLayer(styled.style({styleProperty: 'style'}), {},
+    colorBy === 'satellite' ? '影像足迹（按卫星）' : '影像足迹（按云量）');
+
+  print(colorBy === 'satellite' ? '足迹颜色（按卫星）:' : '足迹颜色（按云量）:',
+    colorBy === 'satellite' ?
+      Object.keys(SATELLITE_COLORS).map(function(id) { return id + ': #' + SATELLITE_COLORS[id]; }).join('，') :
+      CLOUD_CLASSES.map(function(item) { return item.name + ': #' + item.color; }).join('，'));
+}
+
+/**
+ * 将影像足迹连同元数据表格字段导出为矢量文件
+ * 注意：SHP 格式的字段名最长10个字符，较长的字段名可能被截断，需要完整字段名时请使用 GeoJSON 或 KML。
+ * @param {ee.FeatureCollection} records - 元数据表格（landsat_metadata.js 中 searchScenes 返回的 records）
+ * @param {ee.FeatureCollection} footprints - sceneFootprints 的结果
+ * @param {ee.FeatureCollection|ee.Geometry} geometry - 研究区域
+ * @param {Object} options - 参数对象
+ * @param {Array<string>} [options.formats=['SHP']] - 导出格式列表：'SHP'、'KML'、'KMZ'、'GeoJSON'
+ * @param {string} [options.clip='both'] - 几何范围：'clipped'、'unclipped' 或 'both'
+ * @param {Array<string>} options.columns - 输出字段（与 CSV 一致）
+ * @param {string} options.description - 导出任务名称前缀
+ * @param {string} [options.folder] - GDrive导出路径
+ */
+function exportFootprints(records, footprints, geometry, options) {
+  var formats = options.formats || ['SHP'];
+  var clip = options.clip || 'both';
+  formats.forEach(function(format) {
+    if (FOOTPRINT_FORMATS.indexOf(format) === -1) {
+      throw new Error('不支持的足迹导出格式: ' + format + '。请使用 ' + FOOTPRINT_FORMATS.join('、'));
+    }
+  });
+  if (FOOTPRINT_CLIP_MODES.indexOf(clip) === -1) {
+    throw new Error('不支持的足迹范围: ' + clip + '。请使用 ' + FOOTPRINT_CLIP_MODES.join('、'));
+  }
+
+  // 按影像ID将足迹几何关联到元数据记录
+  var joined = ee.Join.saveFirst('footprint').apply({
+    primary: records,
+    secondary: footprints,
+    condition: ee.Filter.equals({leftField: 'image_id', rightField: 'image_id'})
+  });
+  var unclipped = ee.FeatureCollection(joined.map(function(record) {
+    return ee.Feature(record).setGeometry(ee.Feature(record.get('footprint')).geometry());
+  }));
+  var region = ee.FeatureCollection(geometry).geometry();
+  // 裁剪后仅保留面要素部分：足迹仅与研究区域边界相接时相交结果为线、点或 GeometryCollection，无法导出为 SHP；
+  // 裁剪后面积为0的足迹不导出
+  var clipped = unclipped.map(function(feature) {
+    var parts = feature.intersection(region, MAX_ERROR).geometry().geometries();
+    var polygons = parts.map(function(part) {
+      part = ee.Geometry(part);
+      return ee.Algorithms.If(ee.String(part.type()).equals('Polygon'), part.coordinates(), null);
+    }, true);
+    var clippedGeometry = ee.Geometry.MultiPolygon(polygons);
+    return feature.setGeometry(clippedGeometry).set('clipped_area', clippedGeometry.area(MAX_ERROR));
+  }).filter(ee.Filter.gt('clipped_area', 0));
+
+  var outputs = [];
+  if (clip !== 'unclipped') {
+    outputs.push({collection: clipped, suffix: '_footprints_clipped'});
+  }
+  if (clip !== 'clipped') {
+    outputs.push({collection: unclipped, suffix: '_footprints'});
+  }
+
+  outputs.forEach(function(output) {
+    formats.forEach(function(format) {
+      var description = options.description + output.suffix + '_' + format;
+      Export.table.toDrive({
+        collection: output.collection,
+        description: description,
+        folder: options.folder,
+        fileFormat: format,
+        selectors: options.columns
+      });
+      print('足迹导出任务已创建:', description);
+    });
+  });
+}
+
+exports.DEFAULT_WINDOW_DAYS = DEFAULT_WINDOW_DAYS;
+exports.FOOTPRINT_FORMATS = FOOTPRINT_FORMATS;
+exports.SATELLITE_COLORS = SATELLITE_COLORS;
+exports.CLOUD_CLASSES = CLOUD_CLASSES;
+exports.DATE_COLUMNS = DATE_COLUMNS;
+exports.PLAN_COLUMNS = PLAN_COLUMNS;
+exports.sceneCloud = sceneCloud;
+exports.sceneFootprints = sceneFootprints;
+exports.coverageByDate = coverageByDate;
+exports.planCoverage = planCoverage;
+exports.exportCoverage = exportCoverage;
+exports.addFootprintLayers = addFootprintLayers;
+exports.addStyledFootprints = addStyledFootprints;
+exports.exportFootprints = exportFootprints;
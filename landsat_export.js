@@ -0,0 +1,348 @@
+/**
+ * @fileoverview 栅格导出工具
+ *
+ * 本模块为各分析脚本提供统一的栅格导出配置，替代在每个脚本中重复编写 Export.image.toDrive：
+ * 1. 导出目的地：Google Drive、Earth Engine 资产或 Google Cloud Storage
+ * 2. 投影与网格：CRS、crsTransform，或对齐到参考影像的像元网格，使不同脚本的结果逐像元对齐
+ * 3. 分辨率、最大像元数
+ * 4. 数据类型与缩放：如将 -1~1 的指数乘以 10000 后以 int16 保存以减小文件体积；仅缩放连续值波段，
+ *    分类、计数和日期等整数值波段（*_class、valid_count、obs_doy 等，参见 UNSCALED_BANDS）保持原值，
+ *    其余波段（含 clear_pct、z、p_value）缩放后再四舍五入转换为整数类型
+ * 5. 无数据值：文件导出（Drive / Cloud Storage）时以该值填充被掩膜的像元
+ * 6. 文件命名模板：如 '{area}_{product}_{start}_{end}'
+ * 7. 导出范围策略：裁剪至研究区域（范围外为无数据）、研究区域外接矩形或外扩N米，导出和地图图层（displayImage）使用同一范围
+ *
+ * 各分析脚本通过 params.exportOptions（landsat_ndvi_analysis.js 中为 exportOption）传入配置对象，缺省项使用 DEFAULT_EXPORT，
+ * 即裁剪至研究区域、EPSG:4326 下 float 类型的 30 米 GeoTIFF 导出到 Drive。
+ * 网格对齐：导出网格由 CRS、分辨率和导出范围共同决定，因此同一研究区域、相同导出配置的结果逐像元对齐；
+ * 研究区域或导出范围不同时，需指定 crsTransform 或 reference 固定网格原点。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+ *   exporter.exportImage(image, {
+ *     description: 'aoi_NDVI_mean_2020-01-01_2020-12-31',
+ *     fields: {area: 'aoi', product: 'NDVI_mean', start: '2020-01-01', end: '2020-12-31'},
+ *     region: table,
+ *     folder: 'NDVI_Results',
+ *     config: {destination: 'gcs', bucket: 'my-bucket', dataType: 'int16', multiplier: 10000, noData: -32768}
+ *   });
+ */
+
+// 支持的导出目的地
+var DESTINATIONS = {
+  'drive': 'Google Drive',
+  'asset': 'Earth Engine 资产',
+  'gcs': 'Google Cloud Storage'
+};
+
+// 支持的数据类型及对应的转换函数名
+var DATA_TYPES = {
+  'float': 'float',
+  'double': 'double',
+  'int8': 'int8',
+  'uint8': 'uint8',
+  'int16': 'int16',
+  'uint16': 'uint16',
+  'int32': 'int32'
+};
+
+// 整数数据类型的取值范围，用于检查无数据值
+var DATA_TYPE_RANGES = {
+  'int8': [-128, 127],
+  'uint8': [0, 255],
+  'int16': [-32768, 32767],
+  'uint16': [0, 65535],
+  'int32': [-2147483648, 2147483647]
+};
+
+// 支持的导出范围策略
+var REGION_MODES = {
+  'clip': '裁剪至研究区域（范围外为无数据）',
+  'bounds': '研究区域外接矩形',
+  'buffer': '研究区域外扩N米（范围外为无数据）'
+};
+
+// 默认导出配置
+var DEFAULT_EXPORT = {
+  destination: 'drive',
+  region: 'clip',
+  crs: 'EPSG:4326',
+  scale: 30,
+  maxPixels: 1e13,
+  dataType: 'float',
+  multiplier: 1,
+  nameTemplate: '{name}'
+};
+
+// 默认不缩放的整数值波段：观测次数、日期及趋势检验的样本数，另含名称以 CLASS_SUFFIX 结尾的分类波段；
+// 有小数的质量波段（clear_pct）和检验统计量（z、p_value）与指数一同缩放，避免转换为整数类型时丢失精度
+var UNSCALED_BANDS = ['valid_count', 'total_count', 'obs_year', 'obs_doy', 'n'];
+
+// 分类波段的名称后缀（如 trend_class、change_class），导出到资产时金字塔策略默认为 'mode'
+var CLASS_SUFFIX = '_class';
+
+// 命名模板中可用的字段
+var NAME_FIELDS = ['name', 'area', 'product', 'start', 'end'];
+
+/**
+ * 判断导出范围策略是否为外扩，即 {buffer: 外扩米数}
+ * @param {*} region - 导出范围策略
+ * @return {boolean} 是否为外扩
+ */
+function isBuffer(region) {
+  return region !== null && typeof region === 'object' && region.buffer !== undefined;
+}
+
+/**
+ * 将导出配置参数与默认值合并并验证
+ * @param {Object} [config] - 导出配置对象
+ * @param {string} [config.destination='drive'] - 导出目的地：'drive'、'asset' 或 'gcs'
+ * @param {string|Object} [config.region='clip'] - 导出范围策略：'clip'、'bounds' 或 {buffer: 5000}（外扩米数），参见 REGION_MODES
+ * @param {string} [config.folder] - Drive 文件夹，缺省时使用脚本的 outputPath
+ * @param {string} [config.assetFolder] - destination 为 'asset' 时的资产文件夹，如 'users/your_username/landsat'
+ * @param {string} [config.bucket] - destination 为 'gcs' 时的存储桶名称
+ * @param {string} [config.prefix] - destination 为 'gcs' 时的文件路径前缀，如 'landsat/ndvi'
+ * @param {string} [config.crs='EPSG:4326'] - 坐标参考系，如 'EPSG:32650'。合成影像没有原始投影，固定默认值使各脚本的导出网格一致
+ * @param {Array<number>} [config.crsTransform] - 仿射变换参数 [xScale, xShear, xTranslation, yShear, yScale, yTranslation]，
+ *   指定时忽略 scale
+ * @param {ee.Image|string} [config.reference] - 参考影像或影像资产路径，指定时使用其第一个波段的 CRS 和 crsTransform（对齐其像元网格）
+ * @param {number} [config.scale=30] - 分辨率（米）
+ * @param {number} [config.maxPixels=1e13] - 最大像元数
+ * @param {string} [config.dataType='float'] - 数据类型：'float'、'double'、'int8'、'uint8'、'int16'、'uint16'、'int32'
+ * @param {number} [config.multiplier=1] - 转换数据类型前对 scaleBands 乘以的系数，如 10000；
+ *   整数类型时缩放后的值须在类型范围内，如 clear_pct（0-100）或 |z| > 3.2 乘以 10000 会超出 int16，此时请使用 int32
+ * @param {Array<string>} [config.scaleBands] - 需要缩放的波段，缺省时为除 UNSCALED_BANDS 和分类波段（*_class）以外的全部波段
+ * @param {Object} [config.pyramidingPolicy] - 导出到资产时的金字塔策略，如 {'.default': 'mean', 'trend_class': 'mode'}，
+ *   与默认策略合并；默认连续值波段为 'mean'、分类波段（*_class）为 'mode'
+ * @param {number} [config.noData] - 无数据值，文件导出时以该值填充被掩膜的像元；整数类型时须为该类型范围内的整数，
+ *   如 int16 可用 -32768，uint8 / uint16 可用 0 或最大值（须避开有效数据的取值）
+ * @param {string} [config.nameTemplate='{name}'] - 文件命名模板，可用字段：{name}（脚本默认名称）、{area}、{product}、{start}、{end}
+ * @return {Object} 合并默认值后的导出配置
+ */
+function resolveExport(config) {
+  config = config || {};
+  var resolved = {};
+  Object.keys(DEFAULT_EXPORT).forEach(function(key) {
+    resolved[key] = DEFAULT_EXPORT[key];
+  });
+  Object.keys(config).forEach(function(key) {
+    resolved[key] = config[key];
+  });
+
+  if (!DESTINATIONS[resolved.destination]) {
+    throw new Error('不支持的导出目的地: ' + resolved.destination + '。请使用 ' + Object.keys(DESTINATIONS).join('、'));
+  }
+  if (resolved.destination === 'asset' && !resolved.assetFolder) {
+    throw new Error('导出到资产时必须指定 assetFolder，如 \'users/your_username/landsat\'');
+  }
+  if (resolved.destination === 'gcs' && !resolved.bucket) {
+    throw new Error('导出到 Cloud Storage 时必须指定 bucket');
+  }
+  var regionMode = isBuffer(resolved.region) ? 'buffer' : resolved.region;
+  if (typeof regionMode !== 'string' || !REGION_MODES.hasOwnProperty(regionMode)) {
+    throw new Error('不支持的导出范围: ' + JSON.stringify(resolved.region) +
+      '。请使用 \'clip\'、\'bounds\' 或 {buffer: 外扩米数}');
+  }
+  if (regionMode === 'buffer' && !(resolved.region.buffer > 0)) {
+    throw new Error('外扩范围必须为 {buffer: 外扩米数}，且外扩米数为正数: ' + JSON.stringify(resolved.region));
+  }
+  if (!DATA_TYPES[resolved.dataType]) {
+    throw new Error('不支持的数据类型: ' + resolved.dataType + '。请使用 ' + Object.keys(DATA_TYPES).join('、'));
+  }
+  var range = DATA_TYPE_RANGES[resolved.dataType];
+  if (resolved.noData !== undefined && (typeof resolved.noData !== 'number' || isNaN(resolved.noData) ||
+      (range && (resolved.noData % 1 !== 0 || resolved.noData < range[0] || resolved.noData > range[1])))) {
+    throw new Error('不支持的无数据值: ' + resolved.noData + '。' + resolved.dataType + ' 类型的无数据值须为' +
+      (range ? ' ' + range[0] + ' 至 ' + range[1] + ' 之间的整数' : '数值'));
+  }
+  if (resolved.crsTransform && resolved.crsTransform.length !== 6) {
+    throw new Error('crsTransform 必须包含6个参数');
+  }
+  (resolved.nameTemplate.match(/\{[^}]*\}/g) || []).forEach(function(field) {
+    if (NAME_FIELDS.indexOf(field.slice(1, -1)) === -1) {
+      throw new Error('不支持的命名字段: ' + field + '。请使用 ' +
+        NAME_FIELDS.map(function(name) { return '{' + name + '}'; }).join('、'));
+    }
+  });
+
+  // 参考影像的网格（客户端获取一次）
+  if (resolved.reference) {
+    var reference = typeof resolved.reference === 'string' ? ee.Image(resolved.reference) : resolved.reference;
+    var projection = reference.select(0).projection().getInfo();
+    resolved.crs = projection.crs;
+    resolved.crsTransform = projection.transform;
+    resolved.reference = null;
+  }
+  return resolved;
+}
+
+/**
+ * 按导出范围策略计算导出范围
+ * @param {ee.Geometry|ee.FeatureCollection} geometry - 研究区域
+ * @param {Object} config - resolveExport 的结果
+ * @return {ee.Geometry} 导出范围
+ */
+function exportRegion(geometry, config) {
+  var region = ee.FeatureCollection(geometry).geometry();
+  if (config.region === 'bounds') {
+    return region.bounds();
+  }
+  if (isBuffer(config.region)) {
+    return region.buffer(config.region.buffer);
+  }
+  return region;
+}
+
+/**
+ * 按导出范围策略裁剪影像，用于地图图层，使显示范围与导出结果一致
+ * @param {ee.Image} image - 影像
+ * @param {ee.Geometry|ee.FeatureCollection} geometry - 研究区域
+ * @param {Object} [config] - 导出配置，参见 resolveExport
+ * @return {ee.Image} 裁剪后的影像
+ */
+function displayImage(image, geometry, config) {
+  return image.clip(exportRegion(geometry, resolveExport(config)));
+}
+
+/**
+ * 按命名模板生成导出名称，并将不允许在任务名称中使用的字符替换为下划线
+ * @param {string} template - 命名模板
+ * @param {Object} fields - 模板字段值，name 为脚本默认名称
+ * @return {string} 导出名称
+ */
+function formatName(template, fields) {
+  var name = template.replace(/\{([^}]*)\}/g, function(match, field) {
+    return fields[field] === undefined ? '' : String(fields[field]);
+  });
+  // 缺少的字段会留下多余的下划线
+  return name.replace(/[^A-Za-z0-9_\-]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * 需要缩放的波段
+ * @param {ee.Image} image - 待导出影像
+ * @param {Object} config - resolveExport 的结果
+ * @return {ee.List} 波段名称列表
+ */
+function scaledBands(image, config) {
+  if (config.scaleBands) {
+    return ee.List(config.scaleBands);
+  }
+  return image.bandNames().filter(ee.Filter.and(
+    ee.Filter.inList('item', UNSCALED_BANDS).not(),
+    ee.Filter.stringEndsWith('item', CLASS_SUFFIX).not()
+  ));
+}
+
+/**
+ * 按导出配置缩放并转换影像的数据类型
+ * @param {ee.Image} image - 待导出影像
+ * @param {Object} config - resolveExport 的结果
+ * @return {ee.Image} 转换后的影像
+ */
+function convertImage(image, config) {
+  if (config.multiplier !== 1) {
+    var bandNames = image.bandNames();
+    var scaled = image.select(scaledBands(image, config)).multiply(config.multiplier);
+    image = image.addBands(scaled, null, true).select(bandNames);
+  }
+  // 缩放后四舍五入：整数类型直接转换会截断小数部分
+  if (config.dataType !== 'float' && config.dataType !== 'double') {
+    image = image.round();
+  }
+  image = image[DATA_TYPES[config.dataType]]();
+  if (config.noData !== undefined && config.destination !== 'asset') {
+    image = image.unmask(config.noData, false);
+  }
+  return image;
+}
+
+/**
+ * 导出到资产时的金字塔策略：连续值波段取均值，分类波段取众数，config.pyramidingPolicy 中的设置优先
+ * @param {ee.Image} image - 待导出影像
+ * @param {Object} config - resolveExport 的结果
+ * @return {Object} 金字塔策略
+ */
+function pyramidingPolicy(image, config) {
+  var policy = {'.default': 'mean'};
+  // 需要客户端的波段名称
+  image.bandNames().getInfo().forEach(function(band) {
+    if (band.slice(-CLASS_SUFFIX.length) === CLASS_SUFFIX) {
+      policy[band] = 'mode';
+    }
+  });
+  Object.keys(config.pyramidingPolicy || {}).forEach(function(band) {
+    policy[band] = config.pyramidingPolicy[band];
+  });
+  return policy;
+}
+
+/**
+ * 导出栅格影像
+ * @param {ee.Image} image - 待导出影像
+ * @param {Object} options - 导出参数
+ * @param {string} options.description - 脚本默认的导出名称（命名模板中的 {name}）
+ * @param {Object} [options.fields] - 命名模板字段 {area, product, start, end}
+ * @param {ee.Geometry|ee.FeatureCollection} options.region - 研究区域，实际导出范围由导出配置中的 region 策略决定
+ * @param {string} [options.folder] - 默认 Drive 文件夹（脚本的 outputPath），导出配置中指定 folder 时以其为准
+ * @param {Object} [options.config] - 导出配置，参见 resolveExport
+ * @return {string} 实际的导出名称
+ */
+function exportImage(image, options) {
+  var config = resolveExport(options.config);
+  var fields = {name: options.description};
+  Object.keys(options.fields || {}).forEach(function(key) {
+    fields[key] = options.fields[key];
+  });
+  var name = formatName(config.nameTemplate, fields);
+  var region = exportRegion(options.region, config);
+
+  var exportParams = {
+    image: convertImage(image.clip(region), config),
+    description: name,
+    region: region,
+    maxPixels: config.maxPixels
+  };
+  if (config.crs) {
+    exportParams.crs = config.crs;
+  }
+  if (config.crsTransform) {
+    exportParams.crsTransform = config.crsTransform;
+  } else {
+    exportParams.scale = config.scale;
+  }
+
+  if (config.destination === 'asset') {
+    exportParams.assetId = config.assetFolder + '/' + name;
+    exportParams.pyramidingPolicy = pyramidingPolicy(image, config);
+    Export.image.toAsset(exportParams);
+  } else {
+    exportParams.fileFormat = 'GeoTIFF';
+    if (config.noData !== undefined) {
+      exportParams.formatOptions = {noData: config.noData};
+    }
+    if (config.destination === 'gcs') {
+      exportParams.bucket = config.bucket;
+      exportParams.fileNamePrefix = config.prefix ? config.prefix + '/' + name : name;
+      Export.image.toCloudStorage(exportParams);
+    } else {
+      exportParams.folder = config.folder || options.folder;
+      Export.image.toDrive(exportParams);
+    }
+  }
+  return name;
+}
+
+exports.DESTINATIONS = DESTINATIONS;
+exports.DATA_TYPES = DATA_TYPES;
+exports.DATA_TYPE_RANGES = DATA_TYPE_RANGES;
+exports.REGION_MODES = REGION_MODES;
+exports.DEFAULT_EXPORT = DEFAULT_EXPORT;
+exports.UNSCALED_BANDS = UNSCALED_BANDS;
+exports.CLASS_SUFFIX = CLASS_SUFFIX;
+exports.NAME_FIELDS = NAME_FIELDS;
+exports.resolveExport = resolveExport;
+exports.exportRegion = exportRegion;
+exports.displayImage = displayImage;
+exports.formatName = formatName;
+exports.exportImage = exportImage;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview 基于 NDVI 和像元二分模型的植被覆盖度（FVC）工具
+ *
+ * 本模块提供 NDVI 阈值（NDVI_soil、NDVI_veg）计算和像元二分模型 FVC 计算，以及由影像集合直接生成 FVC 的完整流程
+ * （buildFVC：NDVI合成、阈值确定、像元二分模型），供 landsat_fvc_analysis.js、变化检测和交互界面复用。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var fvc = require('users/your_username/GEE_script4landsat:landsat_fvc');
+ *   var fvcImage = fvc.computeFVC(ndviImage, 0.2, 0.86);
+ */
+
+// 支持的NDVI合成方法
+var NDVI_TYPES = ['max', 'mean'];
+
+// 默认NDVI阈值
+var DEFAULT_NDVI_SOIL = 0.2;
+var DEFAULT_NDVI_VEG = 0.86;
+
+/**
+ * 验证NDVI合成方法
+ * @param {string} [ndviType='max'] - NDVI合成方法 ('max' 或 'mean')
+ * @return {string} NDVI合成方法
+ */
+function resolveNdviType(ndviType) {
+  ndviType = ndviType || 'max';
+  if (NDVI_TYPES.indexOf(ndviType) === -1) {
+    throw new Error('不支持的NDVI计算方法: ' + ndviType + '。请使用 "max" 或 "mean"');
+  }
+  return ndviType;
+}
+
+/**
+ * 合成NDVI（最大值或均值）
+ * @param {ee.ImageCollection} collection - 包含NDVI波段的影像集合
+ * @param {string} ndviType - NDVI合成方法 ('max' 或 'mean')
+ * @return {ee.Image} 名为 NDVI 的合成影像
+ */
+function compositeNDVI(collection, ndviType) {
+  var ndvi = collection.select('NDVI');
+  return (ndviType === 'max' ? ndvi.max() : ndvi.mean()).rename('NDVI');
+}
+
+/**
+ * 计算NDVI阈值（NDVI_soil和NDVI_veg）
+ * @param {ee.Image} ndviImage - NDVI影像
+ * @param {ee.Geometry} geometry - 研究区域几何对象
+ * @return {Object} 包含NDVI_soil和NDVI_veg的对象
+ */
+function calculateNDVIThresholds(ndviImage, geometry) {
+  var percentiles = ndviImage.reduceRegion({
+    reducer: ee.Reducer.percentile([5, 95]),  // 计算5%和95%分位数
+    geometry: geometry.bounds(),  // 使用研究区域的边界框
+    scale: 30,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+
+  return {
+    ndvi_soil: percentiles.get('NDVI_p5'),  // 5%分位数作为NDVI_soil
+    ndvi_veg: percentiles.get('NDVI_p95')   // 95%分位数作为NDVI_veg
+  };
+}
+
+/**
+ * 确定NDVI阈值：自动计算时，若分位数为空（如时间段内像元全部被掩膜）则回退到手动阈值
+ * @param {ee.Image} ndviImage - NDVI影像
+ * @param {Object} options - 参数对象
+ * @param {ee.Geometry|ee.FeatureCollection} options.geometry - 研究区域
+ * @param {boolean} [options.autoThreshold=false] - 是否自动计算NDVI阈值
+ * @param {number} [options.ndvi_soil=0.2] - 手动土壤NDVI阈值（自动计算失败时亦使用）
+ * @param {number} [options.ndvi_veg=0.86] - 手动植被NDVI阈值（自动计算失败时亦使用）
+ * @return {Object} {ndvi_soil, ndvi_veg}，自动计算时为 ee.Number
+ */
+function resolveThresholds(ndviImage, options) {
+  var ndvi_soil = options.ndvi_soil || DEFAULT_NDVI_SOIL;
+  var ndvi_veg = options.ndvi_veg || DEFAULT_NDVI_VEG;
+  if (!options.autoThreshold) {
+    return {ndvi_soil: ndvi_soil, ndvi_veg: ndvi_veg};
+  }
+
+  var thresholds = calculateNDVIThresholds(ndviImage, ee.FeatureCollection(options.geometry).geometry());
+  var soil = thresholds.ndvi_soil;
+  var veg = thresholds.ndvi_veg;
+  return {
+    ndvi_soil: ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(soil, null), ndvi_soil, soil)),
+    ndvi_veg: ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(veg, null), ndvi_veg, veg))
+  };
+}
+
+/**
+ * 计算FVC (植被覆盖度)
+ * @param {ee.Image} ndviImage - NDVI影像
+ * @param {number} ndvi_soil - 土壤NDVI阈值
+ * @param {number} ndvi_veg - 植被NDVI阈值
+ * @return {ee.Image} FVC影像
+ */
+function computeFVC(ndviImage, ndvi_soil, ndvi_veg) {
+  // 将数值转换为常量影像
+  var soilImage = ee.Image.constant(ndvi_soil);
+  var vegImage = ee.Image.constant(ndvi_veg);
+
+  var fvc = ee.Image().expression(
+    '(NDVI - NDVI_soil) / (NDVI_veg - NDVI_soil)', {
+      'NDVI': ndviImage,
+      'NDVI_soil': soilImage,
+      'NDVI_veg': vegImage
+    }
+  );
+
+  // 限制FVC值在[0,1]范围内
+  fvc = fvc.where(fvc.lt(0), 0).where(fvc.gt(1), 1);
+
+  return fvc.rename('FVC');
+}
+
+/**
+ * 由影像集合生成FVC：NDVI合成、确定阈值并应用像元二分模型
+ * @param {ee.ImageCollection} collection - 包含NDVI波段的影像集合
+ * @param {Object} options - 参数对象，包含 ndviType 及 resolveThresholds 的全部参数
+ * @return {Object} {ndvi, fvc, ndvi_soil, ndvi_veg}：NDVI合成影像、FVC影像及实际使用的阈值
+ */
+function buildFVC(collection, options) {
+  var ndviImage = compositeNDVI(collection, resolveNdviType(options.ndviType));
+  var thresholds = resolveThresholds(ndviImage, options);
+  return {
+    ndvi: ndviImage,
+    fvc: computeFVC(ndviImage, thresholds.ndvi_soil, thresholds.ndvi_veg),
+    ndvi_soil: thresholds.ndvi_soil,
+    ndvi_veg: thresholds.ndvi_veg
+  };
+}
+
+exports.NDVI_TYPES = NDVI_TYPES;
+exports.DEFAULT_NDVI_SOIL = DEFAULT_NDVI_SOIL;
+exports.DEFAULT_NDVI_VEG = DEFAULT_NDVI_VEG;
+exports.resolveNdviType = resolveNdviType;
+exports.compositeNDVI = compositeNDVI;
+exports.calculateNDVIThresholds = calculateNDVIThresholds;
+exports.resolveThresholds = resolveThresholds;
+exports.computeFVC = computeFVC;
+exports.buildFVC = buildFVC;
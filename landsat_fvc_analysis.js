@@ -3,155 +3,81 @@
  *
  * 本模块提供了一套完整的工具，用于计算特定研究区域内的 FVC (Fraction of Vegetation Cover)。
  * 支持多个时间段的计算，可选择基于 NDVI 最大值或均值，以及像元二分模型进行计算。
- * 本脚本是完全独立的实现，包含了所有必要的函数和工具。
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供，NDVI阈值和像元二分模型由 landsat_fvc.js 提供。
  * 主要功能包括：
  * 1. 支持多个时间段的 FVC 计算
  * 2. 支持自定义或自动计算 NDVI_soil 和 NDVI_veg 阈值
  * 3. 基于像元二分模型计算 FVC
  * 4. 结果导出到 Google Drive，并支持可视化显示
+ * 5. 可选的多时间段 FVC 趋势分析（Sen's slope + Mann-Kendall 检验），参见 landsat_trend.js
  */
 
-// 定义支持的卫星数据集
-var SATELLITES = {
-  L4: {name: 'LANDSAT/LT04/C02/T1_L2', startYear: 1982, endYear: 1993},
-  L5: {name: 'LANDSAT/LT05/C02/T1_L2', startYear: 1984, endYear: 2012},
-  L7: {name: 'LANDSAT/LE07/C02/T1_L2', startYear: 1999, endYear: 2022},
-  L8: {name: 'LANDSAT/LC08/C02/T1_L2', startYear: 2013, endYear: null},
-  L9: {name: 'LANDSAT/LC09/C02/T1_L2', startYear: 2021, endYear: null}
-};
-
-/**
- * 为不同Landsat卫星选择合适的NIR和Red波段
- * @param {string} satellite - 卫星标识符 ('L4', 'L5', 'L7', 'L8', 'L9')
- * @return {Object} 包含NIR和Red波段名称的对象
- */
-function getBandNames(satellite) {
-  if (satellite === 'L8' || satellite === 'L9') {
-    return {nir: 'SR_B5', red: 'SR_B4'};
-  } else {
-    return {nir: 'SR_B4', red: 'SR_B3'};
-  }
-}
-
-/**
- * 对Landsat影像进行云和云阴影掩膜处理
- * @param {ee.Image} image - 输入影像
- * @return {ee.Image} 掩膜后的影像
- */
-function maskClouds(image) {
-  var qa = image.select('QA_PIXEL');
-  var cloudMask = qa.bitwiseAnd(1 << 3).or(qa.bitwiseAnd(1 << 4));
-  return image.updateMask(cloudMask.not());
-}
+// 引入公共核心模块、光谱指数注册表、时间段生成工具、分区统计工具、趋势分析工具、FVC工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+var trend = require('users/your_username/GEE_script4landsat:landsat_trend');
+var fvcTools = require('users/your_username/GEE_script4landsat:landsat_fvc');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
 
 /**
  * 计算NDVI并进行异常值处理
- * @param {ee.Image} image - 输入影像
- * @param {string} satellite - 卫星标识符
+ * @param {ee.Image} image - 输入影像（通用波段名，已缩放）
  * @return {ee.Image} 添加了NDVI波段的影像
  */
-function computeNDVI(image, satellite) {
-  var bands = getBandNames(satellite);
-
-  // 计算NDVI
-  var ndvi = image.expression(
-    '(nir - red) / (nir + red)', {
-      'nir': image.select(bands.nir).multiply(0.0000275).add(-0.2),
-      'red': image.select(bands.red).multiply(0.0000275).add(-0.2)
-    }
-  ).rename('NDVI');
-
-  // 限制NDVI值域在[-1,1]范围内
-  ndvi = ndvi.where(ndvi.lt(-1), -1).where(ndvi.gt(1), 1);
-
-  return image.addBands(ndvi);
-}
-
-/**
- * 计算NDVI阈值（NDVI_soil和NDVI_veg）
- * @param {ee.Image} ndviImage - NDVI影像
- * @param {ee.Geometry} geometry - 研究区域几何对象
- * @return {Object} 包含NDVI_soil和NDVI_veg的对象
- */
-function calculateNDVIThresholds(ndviImage, geometry) {
-  var percentiles = ndviImage.reduceRegion({
-    reducer: ee.Reducer.percentile([5, 95]),  // 计算5%和95%分位数
-    geometry: geometry.bounds(),  // 使用研究区域的边界框
-    scale: 30,
-    maxPixels: 1e9,
-    bestEffort: true
-  });
-  
-  return {
-    ndvi_soil: percentiles.get('NDVI_p5'),  // 5%分位数作为NDVI_soil
-    ndvi_veg: percentiles.get('NDVI_p95')   // 95%分位数作为NDVI_veg
-  };
-}
-
-/**
- * 计算FVC (植被覆盖度)
- * @param {ee.Image} ndviImage - NDVI影像
- * @param {number} ndvi_soil - 土壤NDVI阈值
- * @param {number} ndvi_veg - 植被NDVI阈值
- * @return {ee.Image} FVC影像
- */
-function calculateFVC(ndviImage, ndvi_soil, ndvi_veg) {
-  // 将数值转换为常量影像
-  var soilImage = ee.Image.constant(ndvi_soil);
-  var vegImage = ee.Image.constant(ndvi_veg);
-  
-  var fvc = ee.Image().expression(
-    '(NDVI - NDVI_soil) / (NDVI_veg - NDVI_soil)', {
-      'NDVI': ndviImage,
-      'NDVI_soil': soilImage,
-      'NDVI_veg': vegImage
-    }
-  );
-  
-  // 限制FVC值在[0,1]范围内
-  fvc = fvc.where(fvc.lt(0), 0).where(fvc.gt(1), 1);
-  
-  return fvc.rename('FVC');
+function computeNDVI(image) {
+  // 使用指数注册表计算NDVI，结果已限制在[-1,1]范围内
+  return image.addBands(indices.computeIndex(image, 'NDVI'));
 }
 
 /**
  * 主函数：计算研究区域的FVC
  * @param {Object} params - 参数对象
  * @param {ee.Geometry} params.geometry - 研究区域几何对象
- * @param {Array<Object>} params.timePeriods - 时间段列表，每个对象包含start和end
+ * @param {Array<Object>|Object} params.timePeriods - 时间段列表（每个对象包含start和end），或 landsat_periods.js 中 generatePeriods 的参数对象
  * @param {Array<string>} params.satelliteIds - 卫星标识符列表 ['L4', 'L5', 'L7', 'L8', 'L9']
  * @param {string} [params.ndviType='max'] - NDVI计算方法 ('max' 或 'mean')
  * @param {boolean} [params.autoThreshold=false] - 是否自动计算NDVI阈值
  * @param {number} [params.ndvi_soil=0.2] - 土壤NDVI阈值（当autoThreshold为false时使用）
  * @param {number} [params.ndvi_veg=0.86] - 植被NDVI阈值（当autoThreshold为false时使用）
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {boolean|string} [params.harmonize=false] - 是否将 TM/ETM+ 反射率归一化至 OLI（true、'roy2016_rma' 或 'roy2016_ols'）
+ * @param {Array<string>|string} [params.sceneIds] - 仅使用指定影像（需包含在 satelliteIds 对应的卫星中）：影像ID列表（如 ['LC08_123032_20230101']），
+ *   或包含 image_id 字段的表格资产路径（如 landsat_metadata.js 导出的元数据表格），参见 landsat_core.js 中的 resolveSceneIds
+ * @param {Array<string>|string} [params.excludeIds] - 排除指定影像，格式同 sceneIds
+ * @param {boolean} [params.includeQualityBands=false] - 是否在导出结果中附加质量波段（有效观测次数、总观测次数、有效占比，
+ *   最大值合成时另含被选中观测的年份和年积日），参见 landsat_core.js 中的 qualityBands
+ * @param {boolean|Array<string>|Object} [params.zonal=false] - 是否按研究区域中的每个要素进行分区统计并导出CSV：true 使用默认统计量，
+ *   或统计量列表如 ['mean', 'median', 'stdDev', 'p10', 'p90']，或配置对象，参见 landsat_zonal.js 中的 resolveZonal
+ * @param {boolean|Object} [params.trend=false] - 是否对各时间段的FVC进行趋势分析（至少3个时间段）：true 使用默认显著性水平，
+ *   或配置对象 {alpha: [0.01, 0.05]}，参见 landsat_trend.js 中的 analyzeTrend
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
  * @param {string} params.outputPath - GDrive导出路径
+ * @return {Array<ee.Image>} 各时间段的FVC影像（跳过无影像的时间段）
  */
 exports.calculateFVC = function(params) {
   // 设置默认值
-  params.ndviType = params.ndviType || 'max';
-  
-  // 验证NDVI计算方法
-  if (params.ndviType !== 'max' && params.ndviType !== 'mean') {
-    throw new Error('不支持的NDVI计算方法: ' + params.ndviType + '。请使用 "max" 或 "mean"');
-  }
+  params.ndviType = fvcTools.resolveNdviType(params.ndviType);
   params.autoThreshold = params.autoThreshold || false;
-  params.ndvi_soil = params.ndvi_soil || 0.2;
-  params.ndvi_veg = params.ndvi_veg || 0.86;
+  params.ndvi_soil = params.ndvi_soil || fvcTools.DEFAULT_NDVI_SOIL;
+  params.ndvi_veg = params.ndvi_veg || fvcTools.DEFAULT_NDVI_VEG;
   params.satelliteIds = params.satelliteIds || ['L8'];  // 默认使用 Landsat 8
+  params.timePeriods = periods.resolvePeriods(params.timePeriods);
+  zonal.resolveZonal(params.zonal);
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
 
   // 验证卫星列表
-  params.satelliteIds = params.satelliteIds.filter(function(satelliteId) {
-    if (!SATELLITES[satelliteId]) {
-      print('警告：不支持的卫星类型: ' + satelliteId + '，将被跳过');
-      return false;
-    }
-    return true;
-  });
+  params.satelliteIds = core.validateSatellites(params.satelliteIds);
 
   // 获取研究区域名称
   var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
   print('研究区域:', areaName);
 
+  var composites = [];
+  var zonalTables = [];
+
   // 处理每个时间段
   params.timePeriods.forEach(function(period) {
     print('处理时间段:', period.start + ' 至 ' + period.end);
@@ -162,15 +88,15 @@ exports.calculateFVC = function(params) {
 
     params.satelliteIds.forEach(function(satelliteId) {
       // 获取当前卫星的影像集合
-      var collection = ee.ImageCollection(SATELLITES[satelliteId].name)
-        .filterDate(period.start, period.end)
-        .filterBounds(params.geometry)
-        .map(function(image) {
-          return maskClouds(image);
-        })
-        .map(function(image) {
-          return computeNDVI(image, satelliteId);
-        });
+      var collection = core.getCollection(satelliteId, {
+        startDate: period.start,
+        endDate: period.end,
+        geometry: params.geometry,
+        mask: params.mask,
+        harmonize: params.harmonize,
+        sceneIds: params.sceneIds,
+        excludeIds: params.excludeIds
+      }).map(computeNDVI);
 
       var satelliteImages = collection.size().getInfo();
       totalImages += satelliteImages;
@@ -190,63 +116,52 @@ exports.calculateFVC = function(params) {
     }
     print('处理' + totalImages + '幅影像...');
 
-    // 计算NDVI（最大值或均值）
-    var ndviImage;
-    if (params.ndviType === 'max') {
-      ndviImage = combinedCollection.select('NDVI').max();
-      print('使用NDVI最大值合成');
-    } else {
-      ndviImage = combinedCollection.select('NDVI').mean();
-      print('使用NDVI均值合成');
-    }
+    // 计算NDVI（最大值或均值）、确定阈值并计算FVC
+    print(params.ndviType === 'max' ? '使用NDVI最大值合成' : '使用NDVI均值合成');
     print('NDVI计算方法:', params.ndviType);
+    var fvcResult = fvcTools.buildFVC(combinedCollection, params);
 
-    var ndvi_soil, ndvi_veg;
-
-    // 获取NDVI阈值
     if (params.autoThreshold) {
-      // 自动计算阈值
-      var thresholds = calculateNDVIThresholds(ndviImage, params.geometry);
-      ndvi_soil = thresholds.ndvi_soil;
-      ndvi_veg = thresholds.ndvi_veg;
-
-      // 验证自动计算的阈值是否有效
-      if (!ndvi_soil || !ndvi_veg) {
-        print('警告：自动计算阈值失败，使用默认值');
-        ndvi_soil = params.ndvi_soil;
-        ndvi_veg = params.ndvi_veg;
-      } else {
-        print('已使用自动计算的阈值：');
-        print('NDVI_soil:', ndvi_soil);
-        print('NDVI_veg:', ndvi_veg);
-      }
-    } else {
-      // 使用默认值
-      ndvi_soil = params.ndvi_soil;
-      ndvi_veg = params.ndvi_veg;
+      // 自动计算失败（分位数为空）时已回退到手动阈值
+      print('已使用自动计算的阈值（计算失败时回退到手动阈值）：');
+      print('NDVI_soil:', fvcResult.ndvi_soil);
+      print('NDVI_veg:', fvcResult.ndvi_veg);
     }
 
-    // 计算FVC
-    var fvc = calculateFVC(ndviImage, ndvi_soil, ndvi_veg);
+    var fvc = fvcResult.fvc
+      .set({
+        'period_start': period.start,
+        'period_end': period.end,
+        'system:time_start': ee.Date(period.start).millis()
+      });
+    composites.push(fvc);
+
+    // 附加质量波段
+    var exportImage = fvc;
+    if (params.includeQualityBands) {
+      exportImage = fvc.addBands(core.qualityBands(combinedCollection, 'NDVI', params.ndviType));
+    }
 
     // 导出结果
-    var exportDescription = areaName + '_FVC_' + params.ndviType.toUpperCase() + '_' + period.start + '_' + period.end;
-    var task = Export.image.toDrive({
-      image: fvc.float(),
-      description: exportDescription,
-      folder: params.outputPath,
+    var exportDescription = exporter.exportImage(exportImage, {
+      description: areaName + '_FVC_' + params.ndviType.toUpperCase() + '_' + period.start + '_' + period.end,
+      fields: {area: areaName, product: 'FVC_' + params.ndviType.toUpperCase(), start: period.start, end: period.end},
       region: params.geometry,
-      scale: 30,
-      maxPixels: 1e9,
-      fileFormat: 'GeoTIFF'
+      folder: params.outputPath,
+      config: params.exportOptions
     });
 
     print('导出任务已创建:', exportDescription);
 
+    // 分区统计
+    if (params.zonal) {
+      zonalTables.push(zonal.zonalStats(fvc, params.geometry, {zonal: params.zonal, period: period}));
+    }
+
     // 添加到地图显示
     Map.centerObject(params.geometry, 9);
     Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
-    Map.addLayer(fvc.clip(params.geometry), {
+    Map.addLayer(exporter.displayImage(fvc, params.geometry, params.exportOptions), {
       min: 0,
       max: 1,
       palette: [
@@ -262,6 +177,29 @@ exports.calculateFVC = function(params) {
       ]
     }, 'FVC_' + params.ndviType.toUpperCase() + '_' + period.start + '_' + period.end);
   });
+
+  // 导出分区统计表
+  if (params.zonal) {
+    zonal.exportZonalStats(zonalTables, params.geometry, {
+      zonal: params.zonal,
+      description: areaName + '_FVC_' + params.ndviType.toUpperCase() + '_zonal_stats',
+      folder: params.outputPath
+    });
+  }
+
+  // 趋势分析
+  if (params.trend) {
+    trend.analyzeTrend({
+      composites: composites,
+      geometry: params.geometry,
+      name: 'FVC_' + params.ndviType.toUpperCase(),
+      alpha: params.trend.alpha,
+      exportOptions: params.exportOptions,
+      outputPath: params.outputPath
+    });
+  }
+
+  return composites;
 };
 
 // 设置参数以运行FVC计算
@@ -272,6 +210,8 @@ var timePeriods = [
   {start: '2021-01-01', end: '2021-12-31'},
   {start: '2020-02-02', end: '2020-12-31'}
 ];
+// 也可以自动生成时间段，如1990-2020年每年6-8月：
+// var timePeriods = {type: 'season', startYear: 1990, endYear: 2020, startMonth: 6, endMonth: 8};
 
 var params = {
   geometry: aoi,
@@ -281,6 +221,14 @@ var params = {
   autoThreshold: false,  // 是否自动计算阈值
   ndvi_soil: 0.2,       // 可选，默认值为 0.2
   ndvi_veg: 0.86,       // 可选，默认值为 0.86
+  mask: 'basic',        // 掩膜方案：'basic'、'standard'、'strict'，或 {profile: 'standard', buffer: 300} 等自定义配置
+  harmonize: false,     // 跨传感器归一化：false、true(即 'roy2016_rma') 或 'roy2016_ols'
+  // sceneIds: ['LC08_123032_20210716', 'LC08_123032_20200728'],  // 仅使用指定影像，或表格资产路径如 'users/your_username/best_scenes'
+  // excludeIds: ['LC08_123032_20210615'],  // 排除指定影像
+  includeQualityBands: false,  // 是否附加有效观测次数等质量波段
+  zonal: false,         // 分区统计：true 或 ['mean', 'median', 'stdDev', 'p10', 'p90'] 等
+  trend: false,         // 趋势分析（需至少3个时间段）：true 或 {alpha: [0.01, 0.05]}
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'},  // 导出配置：如 {dataType: 'int16', multiplier: 10000, noData: -32768}（附加质量波段时请使用 int32），参见 landsat_export.js
   outputPath: 'FVC_Results'
 };
 
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview 基于Landsat卫星数据的通用光谱指数时间序列分析工具
+ *
+ * 本模块可对 landsat_indices.js 中注册的任意光谱指数（NDVI、EVI、SAVI、MSAVI、NBR、MNDWI、AWEI、NDSI、NDMI 等）
+ * 进行多时间段、多卫星的统计合成（均值、中值、标准差、百分位数、最小值/最大值、极差，可同时输出多个统计量），并导出结果到 Google Drive。
+ * 新增指数时只需在 landsat_indices.js 中调用 registerIndex，无需复制分析脚本。
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供。
+ */
+
+// 引入公共核心模块、光谱指数注册表、时间段生成工具、分区统计工具、逐景时间序列工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+var timeseries = require('users/your_username/GEE_script4landsat:landsat_timeseries');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+/**
+ * 主函数：计算研究区域内指定光谱指数的多时间段统计合成
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {string} params.indexName - 指数名称，须已在 landsat_indices.js 中注册
+ * @param {Array<Object>|Object} params.timePeriods - 时间段列表（每个对象包含start和end），或 landsat_periods.js 中 generatePeriods 的参数对象
+ * @param {Array<string>} [params.satelliteIds=['L8']] - 卫星标识符列表 ['L4', 'L5', 'L7', 'L8', 'L9']
+ * @param {string|Array<string>} [params.statType='mean'] - 统计方式或统计方式列表：'mean'、'median'、'min'、'max'、'stdDev'、'range'
+ *   或百分位数如 'p90'；为列表时导出多波段影像，波段命名为 <指数名>_<统计方式>，参见 landsat_core.js 中的 resolveStats
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {boolean|string} [params.harmonize=false] - 是否将 TM/ETM+ 反射率归一化至 OLI（true、'roy2016_rma' 或 'roy2016_ols'）
+ * @param {Array<string>|string} [params.sceneIds] - 仅使用指定影像：影像ID列表（如 ['LC08_123032_20230101']），
+ *   或包含 image_id 字段的表格资产路径（如 landsat_metadata.js 导出的元数据表格），参见 landsat_core.js 中的 resolveSceneIds
+ * @param {Array<string>|string} [params.excludeIds] - 排除指定影像，格式同 sceneIds
+ * @param {boolean} [params.includeQualityBands=false] - 是否在导出结果中附加质量波段（有效观测次数、总观测次数、有效占比，
+ *   最大值/最小值合成时另含被选中观测的年份和年积日），参见 landsat_core.js 中的 qualityBands
+ * @param {boolean|Array<string>|Object} [params.zonal=false] - 是否按研究区域中的每个要素进行分区统计并导出CSV：true 使用默认统计量，
+ *   或统计量列表如 ['mean', 'median', 'stdDev', 'p10', 'p90']，或配置对象，参见 landsat_zonal.js 中的 resolveZonal
+ * @param {boolean} [params.timeSeries=false] - 是否生成逐景时间序列：统计每景掩膜后影像在研究区域内的指数均值和有效像元占比，
+ *   按卫星分组绘图并导出CSV，参见 landsat_timeseries.js
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
+ * @param {string} params.outputPath - GDrive导出路径
+ * @return {Array<ee.Image>} 各时间段的指数合成影像（跳过无影像的时间段）
+ */
+exports.processIndex = function(params) {
+  // 设置默认值
+  params.statType = params.statType || 'mean';
+  params.satelliteIds = core.validateSatellites(params.satelliteIds || ['L8']);
+  params.timePeriods = periods.resolvePeriods(params.timePeriods);
+  zonal.resolveZonal(params.zonal);
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
+
+  // 验证统计方式和指数名称
+  core.resolveStats(params.statType);
+  var index = indices.getIndex(params.indexName);
+  var addIndex = indices.addIndex(params.indexName);
+
+  // 获取研究区域名称
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+  print('研究区域:', areaName);
+  print('光谱指数:', params.indexName + '（' + index.description + '）');
+  print('统计方式:', core.statLabel(params.statType));
+
+  Map.centerObject(params.geometry, 9);
+
+  var composites = [];
+  var zonalTables = [];
+  var seriesTables = [];
+
+  // 处理每个时间段
+  params.timePeriods.forEach(function(period) {
+    print('处理时间段:', period.start + ' 至 ' + period.end);
+
+    // 合并所有启用卫星的数据（已完成波段统一、缩放和云掩膜）
+    var collection = core.getMergedCollection(params.satelliteIds, {
+      startDate: period.start,
+      endDate: period.end,
+      geometry: params.geometry,
+      mask: params.mask,
+      harmonize: params.harmonize,
+      sceneIds: params.sceneIds,
+      excludeIds: params.excludeIds
+    }).map(addIndex);
+
+    var imageCount = collection.size().getInfo();
+    print('时间段内所有卫星的总影像数量:', imageCount);
+
+    if (imageCount === 0) {
+      print('警告：在时间段 ' + period.start + ' 至 ' + period.end + ' 内未找到任何卫星影像');
+      return;
+    }
+
+    // 逐景时间序列
+    if (params.timeSeries) {
+      seriesTables.push(timeseries.regionSeries(collection, params.indexName, params.geometry));
+    }
+
+    // 计算指数统计值
+    var composite = core.compositeStats(collection, params.indexName, params.statType)
+      .set({
+        'period_start': period.start,
+        'period_end': period.end,
+        'system:time_start': ee.Date(period.start).millis()
+      });
+    composites.push(composite);
+
+    // 附加质量波段
+    var exportImage = composite;
+    if (params.includeQualityBands) {
+      exportImage = composite.addBands(core.qualityBands(collection, params.indexName, params.statType));
+    }
+
+    // 导出结果
+    var exportDescription = exporter.exportImage(exportImage, {
+      description: areaName + '_' + params.indexName + '_' + core.statSuffix(params.statType) + '_' +
+        period.start + '_' + period.end,
+      fields: {area: areaName, product: params.indexName + '_' + core.statSuffix(params.statType),
+        start: period.start, end: period.end},
+      region: params.geometry,
+      folder: params.outputPath,
+      config: params.exportOptions
+    });
+    print('导出任务已创建:', exportDescription);
+
+    // 分区统计
+    if (params.zonal) {
+      zonalTables.push(zonal.zonalStats(composite, params.geometry, {zonal: params.zonal, period: period}));
+    }
+
+    // 添加到地图显示（多个统计方式时显示第一个）
+    Map.addLayer(exporter.displayImage(composite.select(0), params.geometry, params.exportOptions), index.vis,
+      period.start + '至' + period.end + ' ' + params.indexName + ' ' + core.statLabel(params.statType));
+  });
+
+  // 导出分区统计表
+  if (params.zonal) {
+    zonal.exportZonalStats(zonalTables, params.geometry, {
+      zonal: params.zonal,
+      description: areaName + '_' + params.indexName + '_' + core.statSuffix(params.statType) + '_zonal_stats',
+      folder: params.outputPath
+    });
+  }
+
+  // 逐景时间序列图表和CSV
+  if (params.timeSeries && seriesTables.length > 0) {
+    print(timeseries.chartSeries(ee.FeatureCollection(seriesTables).flatten(), params.indexName));
+    timeseries.exportSeries(seriesTables, {
+      description: areaName + '_' + params.indexName + '_timeseries',
+      folder: params.outputPath
+    });
+  }
+
+  // 在最后添加研究区域边界（显示在最上层）
+  Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
+
+  return composites;
+};
+
+// 使用示例
+var aoi = table; // 用户自定义研究区域
+
+var params = {
+  geometry: aoi,
+  indexName: 'EVI',      // 任意已注册的指数：NDVI、NDWI、NDBI、EVI、SAVI、MSAVI、NBR、MNDWI、AWEI、NDSI、NDMI
+  timePeriods: [
+    {start: '2020-01-01', end: '2020-12-31'},
+    {start: '2019-01-01', end: '2019-12-31'}
+  ],
+  satelliteIds: ['L5', 'L7', 'L8', 'L9'],
+  statType: 'median',    // 'mean'、'median'、'min'、'max'、'stdDev'、'range'、'p90' 等，或列表如 ['median', 'p10', 'p90']
+  mask: 'standard',      // 掩膜方案：'basic'、'standard'、'strict'
+  harmonize: false,      // 跨传感器归一化：false、true(即 'roy2016_rma') 或 'roy2016_ols'
+  // sceneIds: 'users/your_username/best_scenes',  // 仅使用指定影像：影像ID列表或包含 image_id 字段的表格资产
+  // excludeIds: ['LC08_123032_20200610'],          // 排除指定影像
+  includeQualityBands: true,  // 附加有效观测次数等质量波段
+  zonal: false,          // 分区统计：true 或 ['mean', 'median', 'stdDev', 'p10', 'p90'] 等
+  timeSeries: true,      // 逐景时间序列图表和CSV（研究区域均值、有效像元占比）
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'},  // 导出配置：如 {destination: 'gcs', bucket: 'my-bucket', prefix: 'landsat'}，参见 landsat_export.js
+  outputPath: 'Index_Results'
+};
+
+exports.processIndex(params);
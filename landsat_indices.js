@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Landsat 光谱指数注册表
+ *
+ * 本模块以声明的方式维护光谱指数定义，每个指数由名称、基于通用波段名的表达式和有效值域组成。
+ * 表达式中可直接使用 landsat_core.js 中的通用波段名（blue、green、red、nir、swir1、swir2）
+ * 以及指数自身声明的常量。计算结果会被限制在有效值域内。
+ * 新增指数只需调用 registerIndex，无需复制整个分析脚本。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+ *   var evi = indices.computeIndex(image, 'EVI');
+ *
+ * 参考文献：
+ * [1] Huete, A., et al. "Overview of the radiometric and biophysical performance of the MODIS vegetation indices."
+ *     Remote sensing of environment 83.1-2 (2002): 195-213.
+ * [2] Huete, A. R. "A soil-adjusted vegetation index (SAVI)." Remote sensing of environment 25.3 (1988): 295-309.
+ * [3] Qi, J., et al. "A modified soil adjusted vegetation index." Remote sensing of environment 48.2 (1994): 119-126.
+ * [4] Key, C. H., and N. C. Benson. "Landscape assessment (LA)." FIREMON, USDA Forest Service (2006).
+ * [5] Xu, H. "Modification of normalised difference water index (NDWI) to enhance open water features in remotely
+ *     sensed imagery." International journal of remote sensing 27.14 (2006): 3025-3033.
+ * [6] Feyisa, G. L., et al. "Automated Water Extraction Index: A new technique for surface water mapping using
+ *     Landsat imagery." Remote Sensing of Environment 140 (2014): 23-35.
+ * [7] Hall, D. K., et al. "Development of methods for mapping global snow cover using moderate resolution imaging
+ *     spectroradiometer data." Remote sensing of Environment 54.2 (1995): 127-140.
+ * [8] Gao, B. "NDWI—A normalized difference water index for remote sensing of vegetation liquid water from space."
+ *     Remote sensing of environment 58.3 (1996): 257-266.
+ * [9] Xu, H. "A new index for delineating built-up land features in satellite imagery."
+ *     International Journal of Remote Sensing 29.14 (2008): 4269-4276.
+ */
+
+// 表达式中可用的通用波段名
+var EXPRESSION_BANDS = ['blue', 'green', 'red', 'nir', 'swir1', 'swir2'];
+
+// 常用配色方案
+var PALETTES = {
+  vegetation: ['#FFFFFF', '#FDE9A7', '#D9C893', '#B5B080', '#91986C', '#6D8059', '#4A6845', '#275032', '#04381E'],
+  water: ['FFFFFF', 'CCF0FA', '99E1FA', '66D1FA', '33C1FA', '00B2FA', '00A2E5', '0092CC', '0082B2', '007299'],
+  builtUp: ['#FFFFFF', '#F0F0F0', '#D0D0D0', '#B0B0B0', '#909090', '#707070', '#505050', '#303030', '#101010'],
+  burn: ['#7A0403', '#D93806', '#FABA39', '#FFFFBF', '#A6D96A', '#1A9641'],
+  snow: ['#8C510A', '#D8B365', '#F6E8C3', '#F5F5F5', '#C7EAE5', '#5AB4AC', '#FFFFFF'],
+  moisture: ['#8C510A', '#D8B365', '#F6E8C3', '#C7EAE5', '#5AB4AC', '#01665E']
+};
+
+// 已注册的光谱指数
+var INDICES = {};
+
+/**
+ * 注册光谱指数
+ * @param {string} name - 指数名称，同时作为输出波段名
+ * @param {Object} definition - 指数定义
+ * @param {string} definition.expression - 基于通用波段名的表达式
+ * @param {Array<number>} definition.range - 有效值域 [最小值, 最大值]，计算结果将被限制在该范围内
+ * @param {Object} [definition.constants] - 表达式中使用的常量，如 {L: 0.5}
+ * @param {string} [definition.description] - 指数说明
+ * @param {Object} [definition.vis] - 可视化参数 {min, max, palette}，min/max 缺省时使用 range
+ */
+function registerIndex(name, definition) {
+  if (!definition || !definition.expression) {
+    throw new Error('光谱指数 ' + name + ' 缺少表达式');
+  }
+  if (!Array.isArray(definition.range) || definition.range.length !== 2 ||
+      !(definition.range[0] < definition.range[1])) {
+    throw new Error('光谱指数 ' + name + ' 的有效值域无效，应为 [最小值, 最大值]');
+  }
+
+  var vis = definition.vis || {};
+  INDICES[name] = {
+    name: name,
+    expression: definition.expression,
+    range: definition.range,
+    constants: definition.constants || {},
+    description: definition.description || name,
+    vis: {
+      min: vis.min !== undefined ? vis.min : definition.range[0],
+      max: vis.max !== undefined ? vis.max : definition.range[1],
+      palette: vis.palette || PALETTES.vegetation
+    }
+  };
+}
+
+/**
+ * 获取已注册的光谱指数定义
+ * @param {string} name - 指数名称
+ * @return {Object} 指数定义
+ */
+function getIndex(name) {
+  if (!INDICES[name]) {
+    throw new Error('未注册的光谱指数: ' + name + '。已注册的指数: ' + Object.keys(INDICES).join('、'));
+  }
+  return INDICES[name];
+}
+
+/**
+ * 计算光谱指数并限制在有效值域内
+ * @param {ee.Image} image - 输入影像（通用波段名，已缩放）
+ * @param {string} name - 指数名称
+ * @return {ee.Image} 以指数名称命名的单波段影像
+ */
+function computeIndex(image, name) {
+  var index = getIndex(name);
+
+  var variables = {};
+  EXPRESSION_BANDS.forEach(function(band) {
+    variables[band] = image.select(band);
+  });
+  Object.keys(index.constants).forEach(function(key) {
+    variables[key] = index.constants[key];
+  });
+
+  var result = image.expression(index.expression, variables).rename(name);
+
+  // 限制指数值在有效值域内
+  return result
+    .where(result.lt(index.range[0]), index.range[0])
+    .where(result.gt(index.range[1]), index.range[1]);
+}
+
+/**
+ * 生成为影像添加指数波段的映射函数，便于在 ImageCollection.map 中使用
+ * @param {string} name - 指数名称
+ * @return {function(ee.Image): ee.Image} 映射函数
+ */
+function addIndex(name) {
+  getIndex(name);
+  return function(image) {
+    return image.addBands(computeIndex(image, name));
+  };
+}
+
+// 归一化差值类指数
+registerIndex('NDVI', {
+  expression: '(nir - red) / (nir + red)',
+  range: [-1, 1],
+  description: '归一化植被指数'
+});
+
+registerIndex('NDWI', {
+  expression: '(green - nir) / (green + nir)',
+  range: [-1, 1],
+  description: '归一化差异水体指数 (McFeeters)',
+  vis: {palette: PALETTES.water}
+});
+
+registerIndex('NDBI', {
+  expression: '(swir2 - nir) / (swir2 + nir)',
+  range: [-1, 1],
+  description: '归一化差值建筑指数（沿用 landsat_ndbi_analysis.js 的 SWIR2 波段）',
+  vis: {palette: PALETTES.builtUp}
+});
+
+registerIndex('MNDWI', {
+  expression: '(green - swir1) / (green + swir1)',
+  range: [-1, 1],
+  description: '改进的归一化差异水体指数',
+  vis: {palette: PALETTES.water}
+});
+
+registerIndex('NBR', {
+  expression: '(nir - swir2) / (nir + swir2)',
+  range: [-1, 1],
+  description: '归一化燃烧指数',
+  vis: {palette: PALETTES.burn}
+});
+
+registerIndex('NDSI', {
+  expression: '(green - swir1) / (green + swir1)',
+  range: [-1, 1],
+  description: '归一化积雪指数',
+  vis: {palette: PALETTES.snow}
+});
+
+registerIndex('NDMI', {
+  expression: '(nir - swir1) / (nir + swir1)',
+  range: [-1, 1],
+  description: '归一化湿度指数',
+  vis: {palette: PALETTES.moisture}
+});
+
+// 土壤调节及增强型植被指数
+registerIndex('EVI', {
+  expression: '2.5 * (nir - red) / (nir + 6 * red - 7.5 * blue + 1)',
+  range: [-1, 1],
+  description: '增强型植被指数'
+});
+
+registerIndex('SAVI', {
+  expression: '(1 + L) * (nir - red) / (nir + red + L)',
+  range: [-1, 1],
+  constants: {L: 0.5},
+  description: '土壤调节植被指数'
+});
+
+registerIndex('MSAVI', {
+  expression: '(2 * nir + 1 - sqrt((2 * nir + 1) ** 2 - 8 * (nir - red))) / 2',
+  range: [-1, 1],
+  description: '修正的土壤调节植被指数'
+});
+
+// 自动水体提取指数（无阴影版本 AWEI_nsh）
+registerIndex('AWEI', {
+  expression: '4 * (green - swir1) - (0.25 * nir + 2.75 * swir2)',
+  range: [-7, 4],
+  description: '自动水体提取指数（无阴影）',
+  vis: {min: -1, max: 1, palette: PALETTES.water}
+});
+
+// 裸土与建筑指数（用于 RSEI 干度分量）
+registerIndex('SI', {
+  expression: '((swir1 + red) - (nir + blue)) / ((swir1 + red) + (nir + blue))',
+  range: [-1, 1],
+  description: '裸土指数',
+  vis: {palette: PALETTES.builtUp}
+});
+
+registerIndex('IBI', {
+  expression: '(2 * swir1 / (swir1 + nir) - (nir / (nir + red) + green / (green + swir1))) / ' +
+    '(2 * swir1 / (swir1 + nir) + (nir / (nir + red) + green / (green + swir1)))',
+  range: [-1, 1],
+  description: '建筑用地指数',
+  vis: {palette: PALETTES.builtUp}
+});
+
+registerIndex('NDBSI', {
+  expression: '(((swir1 + red) - (nir + blue)) / ((swir1 + red) + (nir + blue)) + ' +
+    '(2 * swir1 / (swir1 + nir) - (nir / (nir + red) + green / (green + swir1))) / ' +
+    '(2 * swir1 / (swir1 + nir) + (nir / (nir + red) + green / (green + swir1)))) / 2',
+  range: [-1, 1],
+  description: '裸土建筑指数，(SI + IBI) / 2',
+  vis: {palette: PALETTES.builtUp}
+});
+
+exports.INDICES = INDICES;
+exports.PALETTES = PALETTES;
+exports.registerIndex = registerIndex;
+exports.getIndex = getIndex;
+exports.computeIndex = computeIndex;
+exports.addIndex = addIndex;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview 基于 Landsat Collection 2 地表温度（ST）波段的地表温度（LST）工具
+ *
+ * 本模块基于 landsat_core.js 中已缩放为开尔文的 thermal 波段和 ST_QA 不确定度波段，
+ * 提供地表温度单位换算与不确定度掩膜，供 landsat_lst_analysis.js、RSEI 等分析脚本复用。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var lst = require('users/your_username/GEE_script4landsat:landsat_lst');
+ *
+ * 参考文献：
+ * [1] USGS. "Landsat 8-9 Collection 2 (C2) Level 2 Science Product Guide." (2022).
+ * [2] Cook, M., et al. "Development of an operational calibration methodology for the Landsat thermal data archive
+ *     and initial testing of the atmospheric compensation component of a Land Surface Temperature (LST) product
+ *     from the archive." Remote Sensing 6.11 (2014): 11244-11266.
+ */
+
+// 开尔文与摄氏度的换算常数
+var KELVIN_OFFSET = 273.15;
+
+// 支持的温度单位
+var UNITS = {
+  kelvin: 'K',
+  celsius: '°C'
+};
+
+// 默认的 ST_QA 不确定度上限（开尔文）
+var DEFAULT_MAX_UNCERTAINTY = 5;
+
+/**
+ * 验证温度单位
+ * @param {string} [unit='celsius'] - 温度单位 ('kelvin' 或 'celsius')
+ * @return {string} 温度单位
+ */
+function resolveUnit(unit) {
+  unit = unit || 'celsius';
+  if (!UNITS[unit]) {
+    throw new Error('不支持的温度单位: ' + unit + '。请使用 "kelvin" 或 "celsius"');
+  }
+  return unit;
+}
+
+/**
+ * 按 ST_QA 不确定度掩膜地表温度
+ * @param {ee.Image} image - 经 landsat_core.js 处理的影像（包含 ST_QA 波段，单位为开尔文）
+ * @param {number|null} [maxUncertainty=5] - 允许的最大不确定度（开尔文），为 null 时不掩膜
+ * @return {ee.Image} 掩膜后的影像
+ */
+function maskUncertainty(image, maxUncertainty) {
+  if (maxUncertainty === null) {
+    return image;
+  }
+  if (maxUncertainty === undefined) {
+    maxUncertainty = DEFAULT_MAX_UNCERTAINTY;
+  }
+  var stQA = image.select('ST_QA');
+  // ST_QA 填充值为负数，同时予以剔除
+  return image.updateMask(stQA.gte(0).and(stQA.lte(maxUncertainty)));
+}
+
+/**
+ * 计算地表温度
+ * @param {ee.Image} image - 经 landsat_core.js 处理的影像（thermal 波段单位为开尔文）
+ * @param {string} [unit='celsius'] - 温度单位 ('kelvin' 或 'celsius')
+ * @return {ee.Image} 名为 LST 的单波段影像
+ */
+function computeLST(image, unit) {
+  unit = resolveUnit(unit);
+
+  var lst = image.select('thermal');
+  if (unit === 'celsius') {
+    lst = lst.subtract(KELVIN_OFFSET);
+  }
+  return lst.rename('LST');
+}
+
+/**
+ * 生成为影像添加 LST 波段（并按 ST_QA 掩膜）的映射函数，便于在 ImageCollection.map 中使用
+ * @param {string} [unit='celsius'] - 温度单位 ('kelvin' 或 'celsius')
+ * @param {number|null} [maxUncertainty=5] - 允许的最大不确定度（开尔文），为 null 时不掩膜
+ * @return {function(ee.Image): ee.Image} 映射函数
+ */
+function addLST(unit, maxUncertainty) {
+  resolveUnit(unit);
+  return function(image) {
+    var masked = maskUncertainty(image, maxUncertainty);
+    return masked.addBands(computeLST(masked, unit));
+  };
+}
+
+exports.UNITS = UNITS;
+exports.DEFAULT_MAX_UNCERTAINTY = DEFAULT_MAX_UNCERTAINTY;
+exports.resolveUnit = resolveUnit;
+exports.maskUncertainty = maskUncertainty;
+exports.computeLST = computeLST;
+exports.addLST = addLST;
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview 基于Landsat Collection 2 地表温度波段的LST时间序列分析工具
+ *
+ * 本模块提供了一套完整的工具，用于计算特定研究区域内的地表温度（LST）时间序列统计值（均值、最大值、最小值或中值），
+ * 适用于城市热岛等研究。
+ * 主要功能包括：
+ * 1. 将 ST_B6 / ST_B10 波段缩放为开尔文或摄氏度
+ * 2. 按 ST_QA 不确定度掩膜低质量像元
+ * 3. 多时间段、多卫星统计合成（可同时输出多个统计量）
+ * 4. 导出 GeoTIFF 及研究区域统计汇总表（CSV）到 Google Drive，并支持可视化显示
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供。
+ */
+
+// 引入公共核心模块、地表温度工具、时间段生成工具、分区统计工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var lst = require('users/your_username/GEE_script4landsat:landsat_lst');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+/**
+ * 统计研究区域内的地表温度
+ * @param {ee.Image} lstImage - LST影像
+ * @param {ee.FeatureCollection} geometry - 研究区域
+ * @return {ee.Dictionary} 包含均值、最小值、最大值、标准差及分位数的统计结果
+ */
+function summarizeLST(lstImage, geometry) {
+  var reducer = ee.Reducer.mean()
+    .combine(ee.Reducer.minMax(), '', true)
+    .combine(ee.Reducer.stdDev(), '', true)
+    .combine(ee.Reducer.percentile([5, 25, 50, 75, 95]), '', true);
+
+  return lstImage.reduceRegion({
+    reducer: reducer,
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+}
+
+// 研究区域统计汇总中的统计量后缀（与 summarizeLST 一致）
+var SUMMARY_STATS = ['mean', 'min', 'max', 'stdDev', 'p5', 'p25', 'p50', 'p75', 'p95'];
+
+/**
+ * 获取研究区域统计汇总表中的统计列名
+ * @param {Array<string>} bandNames - 合成影像的波段名称
+ * @return {Array<string>} 列名列表，如 LST_mean、LST_p95
+ */
+function summaryColumns(bandNames) {
+  var columns = [];
+  bandNames.forEach(function(band) {
+    SUMMARY_STATS.forEach(function(stat) {
+      columns.push(band + '_' + stat);
+    });
+  });
+  return columns;
+}
+
+/**
+ * 主函数：计算研究区域的LST多时间段统计合成
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {Array<Object>|Object} params.timePeriods - 时间段列表（每个对象包含start和end），或 landsat_periods.js 中 generatePeriods 的参数对象
+ * @param {Array<string>} [params.satelliteIds=['L8']] - 卫星标识符列表 ['L4', 'L5', 'L7', 'L8', 'L9']
+ * @param {string|Array<string>} [params.statType='mean'] - 统计方式或统计方式列表：'mean'、'median'、'min'、'max'、'stdDev'、'range'
+ *   或百分位数如 'p90'；为列表时导出多波段影像，波段命名为 LST_<统计方式>，参见 landsat_core.js 中的 resolveStats
+ * @param {string} [params.unit='celsius'] - 温度单位 ('kelvin' 或 'celsius')
+ * @param {number|null} [params.maxUncertainty=5] - ST_QA 允许的最大不确定度（开尔文），为 null 时不掩膜
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {boolean|Array<string>|Object} [params.zonal=false] - 是否按研究区域中的每个要素进行分区统计并导出CSV：true 使用默认统计量，
+ *   或统计量列表如 ['mean', 'median', 'stdDev', 'p10', 'p90']，或配置对象，参见 landsat_zonal.js 中的 resolveZonal
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
+ * @param {string} params.outputPath - GDrive导出路径
+ * @return {Array<ee.Image>} 各时间段的LST合成影像（跳过无影像的时间段）
+ */
+exports.calculateLST = function(params) {
+  // 设置默认值
+  params.statType = params.statType || 'mean';
+  params.unit = lst.resolveUnit(params.unit);
+  params.satelliteIds = core.validateSatellites(params.satelliteIds || ['L8']);
+  params.timePeriods = periods.resolvePeriods(params.timePeriods);
+  zonal.resolveZonal(params.zonal);
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
+
+  // 验证统计方式
+  var bandNames = core.statBandNames('LST', params.statType);
+
+  // 获取研究区域名称
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+  print('研究区域:', areaName);
+  print('统计方式:', core.statLabel(params.statType));
+  print('温度单位:', lst.UNITS[params.unit]);
+
+  Map.centerObject(params.geometry, 9);
+
+  var composites = [];
+  var zonalTables = [];
+  var summaries = [];
+
+  // 处理每个时间段
+  params.timePeriods.forEach(function(period) {
+    print('处理时间段:', period.start + ' 至 ' + period.end);
+
+    // 合并所有启用卫星的数据（已完成波段统一、缩放和云掩膜）
+    var collection = core.getMergedCollection(params.satelliteIds, {
+      startDate: period.start,
+      endDate: period.end,
+      geometry: params.geometry,
+      mask: params.mask
+    }).map(lst.addLST(params.unit, params.maxUncertainty));
+
+    var imageCount = collection.size().getInfo();
+    print('时间段内所有卫星的总影像数量:', imageCount);
+
+    if (imageCount === 0) {
+      print('警告：在时间段 ' + period.start + ' 至 ' + period.end + ' 内未找到任何卫星影像');
+      return;
+    }
+
+    // 计算LST统计值
+    var composite = core.compositeStats(collection, 'LST', params.statType)
+      .set({
+        'period_start': period.start,
+        'period_end': period.end,
+        'system:time_start': ee.Date(period.start).millis()
+      });
+    composites.push(composite);
+
+    // 研究区域统计汇总
+    summaries.push(ee.Feature(null, summarizeLST(composite, params.geometry)).set({
+      'period_start': period.start,
+      'period_end': period.end,
+      'stat_type': core.statSuffix(params.statType),
+      'unit': params.unit,
+      'image_count': imageCount
+    }));
+
+    // 导出GeoTIFF
+    var exportDescription = exporter.exportImage(composite, {
+      description: areaName + '_LST_' + core.statSuffix(params.statType) + '_' + period.start + '_' + period.end,
+      fields: {area: areaName, product: 'LST_' + core.statSuffix(params.statType), start: period.start, end: period.end},
+      region: params.geometry,
+      folder: params.outputPath,
+      config: params.exportOptions
+    });
+    print('导出任务已创建:', exportDescription);
+
+    // 分区统计
+    if (params.zonal) {
+      zonalTables.push(zonal.zonalStats(composite, params.geometry, {zonal: params.zonal, period: period}));
+    }
+
+    // 添加到地图显示（多个统计方式时显示第一个）
+    var range = params.unit === 'celsius' ? [10, 45] : [283, 318];
+    Map.addLayer(exporter.displayImage(composite.select(0), params.geometry, params.exportOptions), {
+      min: range[0],
+      max: range[1],
+      palette: ['#313695', '#4575B4', '#74ADD1', '#ABD9E9', '#FFFFBF', '#FEE090', '#FDAE61', '#F46D43', '#D73027', '#A50026']
+    }, period.start + '至' + period.end + ' LST ' + core.statLabel(params.statType));
+  });
+
+  // 导出研究区域统计汇总表
+  if (summaries.length > 0) {
+    var summaryDescription = areaName + '_LST_' + core.statSuffix(params.statType) + '_summary';
+    Export.table.toDrive({
+      collection: ee.FeatureCollection(summaries),
+      description: summaryDescription,
+      folder: params.outputPath,
+      fileFormat: 'CSV',
+      selectors: ['period_start', 'period_end', 'stat_type', 'unit', 'image_count'].concat(
+        summaryColumns(bandNames))
+    });
+    print('统计汇总导出任务已创建:', summaryDescription);
+  }
+
+  // 导出分区统计表
+  if (params.zonal) {
+    zonal.exportZonalStats(zonalTables, params.geometry, {
+      zonal: params.zonal,
+      description: areaName + '_LST_' + core.statSuffix(params.statType) + '_zonal_stats',
+      folder: params.outputPath
+    });
+  }
+
+  // 在最后添加研究区域边界（显示在最上层）
+  Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
+
+  return composites;
+};
+
+// 使用示例
+var aoi = table; // 用户自定义研究区域
+
+var params = {
+  geometry: aoi,
+  // 每年6-8月，也可以直接传入 {start, end} 列表
+  timePeriods: {type: 'season', startYear: 2019, endYear: 2020, startMonth: 6, endMonth: 8},
+  satelliteIds: ['L5', 'L7', 'L8', 'L9'],
+  statType: 'mean',      // 'mean'、'median'、'min'、'max'、'stdDev'、'range'、'p90' 等，或列表如 ['mean', 'max', 'p90']
+  unit: 'celsius',       // 'kelvin' 或 'celsius'
+  maxUncertainty: 5,     // ST_QA 不确定度上限（开尔文），null 表示不掩膜
+  mask: 'standard',      // 掩膜方案：'basic'、'standard'、'strict'
+  zonal: false,          // 分区统计：true 或 ['mean', 'median', 'stdDev', 'p10', 'p90'] 等
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'},  // 导出配置：摄氏度时可用 {dataType: 'int16', multiplier: 100, noData: -32768}（开尔文乘以100会超出 int16 范围，请改用 int32），参见 landsat_export.js
+  outputPath: 'LST_Results'
+};
+
+exports.calculateLST(params);
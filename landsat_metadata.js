@@ -1,36 +1,120 @@
-/*
- * 功能：根据用户定义的时间范围和研究区范围，搜索Landsat影像元数据信息
- * 支持的卫星：Landsat 4、5、7、8、9
- * 输出内容：影像元数据表格（CSV格式），包含以下信息：
- *   - 影像ID
- *   - 云量
- *   - 获取日期
- *   - 获取时间（格林尼治时间）
- *   - 获取时间（北京时间）
- *   - 年份
- *   - 月份
- *   - Path
- *   - Row
+/**
+ * @fileoverview Landsat 影像元数据检索工具
+ *
+ * 本模块根据研究区域、时间范围、云量范围和卫星列表（由 landsat_core.js 中的 SATELLITES 定义）检索
+ * Landsat 4/5/7/8/9 Collection 2 Level 2 影像，返回筛选后的影像集合及元数据表格，
+ * 并提供控制台表格打印、条带号汇总和 CSV 导出等工具，供 landsat_metadata_analysis.js 及其他脚本复用。
+ *
+ * 元数据表格包含以下字段：
+ *   - number: 序号
+ *   - image_id: 影像ID
+ *   - satellite: 卫星标识符
+ *   - path / row: WRS-2 条带号
+ *   - date_acquired: 获取日期
+ *   - scene_center_time_utc: 获取时间（格林尼治时间）
+ *   - scene_center_time_beijing: 获取时间（北京时间，固定为 UTC+8，不受 timeZone 参数影响，与早期版本一致）
+ *   - date_local / scene_center_time_local: 本地日期 / 本地时间（时区可配置，默认北京时间，跨日时日期随之顺延）
+ *   - local_solar_time: 真太阳时（由影像中心经度和时差计算）
+ *   - year / month: 年份 / 月份
+ *   - cloud_cover: 云量
+ * 启用 aoiCloud 时另含研究区域内的统计（由 QA_PIXEL 计算，参见 addAoiCover）：
+ *   - aoi_cloud_cover / aoi_shadow_cover / aoi_snow_cover: 研究区域内的云、云阴影、雪/冰占比
+ *   - aoi_coverage: 影像有效像元覆盖研究区域的比例
+ * 另可通过 columns 参数选择以下扩展字段（或使用预设 'full'，参见 COLUMN_SETS）：
+ *   - sun_elevation / sun_azimuth: 太阳高度角 / 方位角（度）
+ *   - cloud_cover_land: 陆地云量
+ *   - collection_category: 数据分级（T1 / T2）
+ *   - processing_level: 处理级别（如 L2SP）
+ *   - geometric_rmse_model: 几何校正模型均方根误差（米）
+ *   - image_quality / image_quality_tirs: 影像质量评分（OLI 或 TM/ETM+ / TIRS）
+ *   - sensor_id / spacecraft_id: 传感器 / 卫星平台
+ *   - l1_product_id: Level 1 产品ID
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var metadata = require('users/your_username/GEE_script4landsat:landsat_metadata');
+ *   var result = metadata.searchScenes({geometry: table, startDate: '2023-01-01', endDate: '2023-12-31'});
+ *   // result.collection 为筛选后的影像集合，result.records 为元数据表格
  */
 
-// 选择研究区域
-var geometry = table;
+// 引入公共核心模块（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
 
-// 获取研究区域名称（从table的路径中提取最后一段）
-var tableId = ee.String(table.get('system:id'));
-var areaName = tableId.split('/').get(-1);
+// 元数据字段及控制台表头
+var COLUMNS = {
+  'number': '序号',
+  'image_id': '影像ID',
+  'satellite': '卫星',
+  'path': 'Path',
+  'row': 'Row',
+  'date_acquired': '获取日期',
+  'scene_center_time_utc': '获取时间(UTC)',
+  'scene_center_time_beijing': '获取时间(北京)',
+  'date_local': '获取日期(本地)',
+  'scene_center_time_local': '获取时间(本地)',
+  'local_solar_time': '真太阳时',
+  'year': '年份',
+  'month': '月份',
+  'cloud_cover': '云量',
+  'aoi_cloud_cover': '研究区云量',
+  'aoi_shadow_cover': '研究区云阴影',
+  'aoi_snow_cover': '研究区雪/冰',
+  'aoi_coverage': '研究区覆盖率',
+  'sun_elevation': '太阳高度角',
+  'sun_azimuth': '太阳方位角',
+  'cloud_cover_land': '陆地云量',
+  'collection_category': '数据分级',
+  'processing_level': '处理级别',
+  'geometric_rmse_model': '几何误差(m)',
+  'image_quality': '影像质量',
+  'image_quality_tirs': '热红外质量',
+  'sensor_id': '传感器',
+  'spacecraft_id': '卫星平台',
+  'l1_product_id': 'L1产品ID'
+};
 
-// 设置时间范围
-var date_start = '2023-01-01';
-var date_end = '2023-12-31';
+// 默认输出字段（顺序即 CSV 列顺序）
+var DEFAULT_COLUMNS = [
+  'number',
+  'image_id',
+  'path',
+  'row',
+  'date_acquired',
+  'scene_center_time_utc',
+  'scene_center_time_beijing',
+  'date_local',
+  'scene_center_time_local',
+  'local_solar_time',
+  'year',
+  'month',
+  'cloud_cover'
+];
 
-// 设置云量筛选范围（百分比）
-var cloud_min = 0;  // 云量下限
-var cloud_max = 100; // 云量上限
+// 研究区域统计字段（启用 aoiCloud 时追加到输出字段）
+var AOI_COLUMNS = ['aoi_cloud_cover', 'aoi_shadow_cover', 'aoi_snow_cover', 'aoi_coverage'];
 
-// 构建文件名中的日期和云量信息
-var dateInfo = date_start.replace(/-/g, '') + '_' + date_end.replace(/-/g, '');
-var cloudInfo = 'cloud_' + cloud_min + '_' + cloud_max;
+// 预设输出字段组合
+var COLUMN_SETS = {
+  // 基本字段：包含早期版本的全部字段（列顺序不变），并新增本地日期、本地时间和真太阳时
+  basic: DEFAULT_COLUMNS,
+  // 基本字段 + 太阳几何、数据分级、处理级别、几何精度、质量评分、传感器和 L1 产品ID
+  full: DEFAULT_COLUMNS.concat([
+    'satellite',
+    'sensor_id',
+    'spacecraft_id',
+    'sun_elevation',
+    'sun_azimuth',
+    'cloud_cover_land',
+    'collection_category',
+    'processing_level',
+    'geometric_rmse_model',
+    'image_quality',
+    'image_quality_tirs',
+    'l1_product_id'
+  ])
+};
+
+// 默认时区（北京时间）
+var DEFAULT_TIME_ZONE = 'Asia/Shanghai';
 
 // 数字补零函数
 function padZero(num) {
@@ -55,252 +139,398 @@ function padString(str, length, padChar) {
   return str + repeatStr(padChar || ' ', length - str.length);
 }
 
-// 计算东八区时间
-function calcBeijingTime(centerTime) {
-  // 解析UTC时间 (格式: "HH:MM:SS.SSSSSSSZ")
-  var parts = centerTime.split(':');
-  var hours = parseInt(parts[0], 10);
-  var minutes = parseInt(parts[1], 10);
-  var seconds = parseFloat(parts[2]);  // 包含小数部分
-  
-  // 添加8小时得到北京时间
-  hours = (hours + 8) % 24;
-  
-  // 格式化输出
-  return padZero(hours) + ':' + padZero(minutes) + ':' + padZero(Math.floor(seconds));
+// 创建分隔线函数
+function printSeparator() {
+  print(repeatStr('-', 40));
+}
+
+/**
+ * 将时区参数统一为 ee.Date.format 可识别的时区
+ * @param {string|number} [timeZone='Asia/Shanghai'] - IANA 时区名称（如 'Europe/Berlin'）、
+ *   UTC 偏移字符串（如 '+05:30'）或 UTC 偏移小时数（如 8、-3.5）
+ * @return {string} 时区名称或 '+HH:mm' 格式的偏移
+ */
+function resolveTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null) {
+    return DEFAULT_TIME_ZONE;
+  }
+  if (typeof timeZone === 'number') {
+    if (!(timeZone >= -12 && timeZone <= 14)) {
+      throw new Error('不支持的时区偏移: ' + timeZone + '。请使用 -12 至 14 之间的小时数');
+    }
+    var minutes = Math.round(Math.abs(timeZone) * 60);
+    return (timeZone < 0 ? '-' : '+') + padZero(Math.floor(minutes / 60)) + ':' + padZero(minutes % 60);
+  }
+  if (typeof timeZone !== 'string' || !timeZone) {
+    throw new Error('不支持的时区: ' + timeZone + '。请使用 IANA 时区名称（如 "Asia/Shanghai"）或 UTC 偏移（如 8 或 "+08:00"）');
+  }
+  return timeZone;
+}
+
+/**
+ * 计算影像中心的真太阳时
+ * 真太阳时 = UTC + 经度 / 15 + 时差，时差采用常用的简化近似公式（分钟，误差约 ±1 分钟）：
+ * EoT = 9.87 sin(2B) - 7.53 cos(B) - 1.5 sin(B)，B = 2π(DOY - 81) / 365
+ * @param {ee.Image} image - 原始影像
+ * @return {ee.String} HH:mm:ss 格式的真太阳时
+ */
+function solarTime(image) {
+  var date = ee.Date(image.get('system:time_start'));
+  var longitude = ee.Number(image.geometry().centroid(1000).coordinates().get(0));
+  var b = ee.Number(date.getRelative('day', 'year').add(1).subtract(81)).multiply(2 * Math.PI / 365);
+  var equationOfTime = b.multiply(2).sin().multiply(9.87)
+    .subtract(b.cos().multiply(7.53))
+    .subtract(b.sin().multiply(1.5));
+  var offsetMinutes = longitude.multiply(4).add(equationOfTime);
+  return date.advance(offsetMinutes.multiply(60), 'second').format('HH:mm:ss');
+}
+
+/**
+ * 将输出字段参数统一为字段列表
+ * @param {string|Array<string>} [columns='basic'] - COLUMN_SETS 中的预设名称或字段列表
+ * @param {boolean} [aoiCloud=false] - 是否追加研究区域统计字段（字段列表中已包含时不重复追加）
+ * @return {Array<string>} 字段列表
+ */
+function resolveColumns(columns, aoiCloud) {
+  columns = columns || 'basic';
+  if (typeof columns === 'string') {
+    if (!COLUMN_SETS[columns]) {
+      throw new Error('不支持的字段组合: ' + columns + '。请使用 ' + Object.keys(COLUMN_SETS).join('、') + ' 或字段列表');
+    }
+    columns = COLUMN_SETS[columns];
+  }
+  columns.forEach(function(column) {
+    if (!COLUMNS[column]) {
+      throw new Error('不支持的元数据字段: ' + column + '。请使用 ' + Object.keys(COLUMNS).join('、'));
+    }
+  });
+  if (aoiCloud) {
+    columns = columns.concat(AOI_COLUMNS.filter(function(column) {
+      return columns.indexOf(column) === -1;
+    }));
+  }
+  return columns;
+}
+
+/**
+ * 将数值格式化为字符串
+ * @param {ee.Number|null} value - 数值
+ * @param {string} [pattern='%.2f'] - 格式
+ * @param {string} [suffix=''] - 后缀
+ * @return {ee.String} 格式化后的字符串，值为空时返回空字符串
+ */
+function formatNumber(value, pattern, suffix) {
+  return ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), '',
+    ee.Number(value).format(pattern || '%.2f').cat(suffix || ''));
+}
+
+/**
+ * 将百分比格式化为保留两位小数的字符串
+ * @param {ee.Number|null} value - 百分比
+ * @return {ee.String} 如 '12.34%'，值为空时返回空字符串
+ */
+function formatPercent(value) {
+  return formatNumber(value, '%.2f', '%');
+}
+
+/**
+ * 由 QA_PIXEL 统计每景影像在研究区域内的云、云阴影、雪/冰占比及有效像元覆盖率
+ * 云包含云、膨胀云和卷云标志位；各占比以研究区域内的非填充像元为分母，覆盖率以研究区域面积为分母。
+ * @param {ee.ImageCollection} collection - 原始 Collection 2 Level 2 影像集合
+ * @param {ee.FeatureCollection|ee.Geometry} geometry - 研究区域
+ * @param {number} [scale=30] - 统计分辨率（米），研究区域较大时可适当增大以加快计算
+ * @return {ee.ImageCollection} 添加了 AOI_CLOUD_COVER、AOI_SHADOW_COVER、AOI_SNOW_COVER、AOI_COVERAGE 属性（百分比）的影像集合；
+ *   研究区域内无有效像元时各占比为空
+ */
+function addAoiCover(collection, geometry, scale) {
+  var region = ee.FeatureCollection(geometry).geometry();
+  var bits = core.QA_PIXEL_BITS;
+  var cloudMask = (1 << bits.cloud) | (1 << bits.dilatedCloud) | (1 << bits.cirrus);
+
+  return collection.map(function(image) {
+    var qa = image.select('QA_PIXEL');
+    var observed = qa.bitwiseAnd(1 << bits.fill).eq(0);
+    var flags = ee.Image.cat([
+      qa.bitwiseAnd(cloudMask).neq(0).rename('cloud'),
+      qa.bitwiseAnd(1 << bits.cloudShadow).neq(0).rename('shadow'),
+      qa.bitwiseAnd(1 << bits.snow).neq(0).rename('snow')
+    ]).updateMask(observed);
+    // sameFootprint 为 false：影像足迹以外的研究区域像元计为0，覆盖率以整个研究区域为分母
+    var coverage = observed.selfMask().unmask(0, false).rename('coverage');
+
+    var stats = flags.addBands(coverage).multiply(100).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: region,
+      scale: scale || 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+
+    return image.set({
+      'AOI_CLOUD_COVER': stats.get('cloud'),
+      'AOI_SHADOW_COVER': stats.get('shadow'),
+      'AOI_SNOW_COVER': stats.get('snow'),
+      'AOI_COVERAGE': stats.get('coverage')
+    });
+  });
+}
+
+/**
+ * 生成单景影像的元数据记录
+ * @param {ee.Image} image - searchScenes 检索到的原始影像
+ * @param {string|number} [timeZone='Asia/Shanghai'] - 本地时间的时区，参见 resolveTimeZone
+ * @return {ee.Feature} 无几何的元数据记录
+ */
+function sceneRecord(image, timeZone) {
+  timeZone = resolveTimeZone(timeZone);
+  var dateAcquired = ee.String(image.get('DATE_ACQUIRED'));
+  var date = ee.Date(image.get('system:time_start'));
+  return ee.Feature(null, {
+    'image_id': image.get('IMAGE_ID'),
+    'satellite': image.get('SATELLITE'),
+    'path': image.get('WRS_PATH'),
+    'row': image.get('WRS_ROW'),
+    'date_acquired': dateAcquired,
+    'scene_center_time_utc': image.get('SCENE_CENTER_TIME'),
+    'scene_center_time_beijing': date.format('HH:mm:ss', 'Asia/Shanghai'),
+    'date_local': date.format('YYYY-MM-dd', timeZone),
+    'scene_center_time_local': date.format('HH:mm:ss', timeZone),
+    'local_solar_time': solarTime(image),
+    'year': dateAcquired.slice(0, 4),
+    'month': dateAcquired.slice(5, 7),
+    'cloud_cover': formatPercent(image.get('CLOUD_COVER')),
+    'aoi_cloud_cover': formatPercent(image.get('AOI_CLOUD_COVER')),
+    'aoi_shadow_cover': formatPercent(image.get('AOI_SHADOW_COVER')),
+    'aoi_snow_cover': formatPercent(image.get('AOI_SNOW_COVER')),
+    'aoi_coverage': formatPercent(image.get('AOI_COVERAGE')),
+    'sun_elevation': formatNumber(image.get('SUN_ELEVATION')),
+    'sun_azimuth': formatNumber(image.get('SUN_AZIMUTH')),
+    'cloud_cover_land': formatPercent(image.get('CLOUD_COVER_LAND')),
+    'collection_category': image.get('COLLECTION_CATEGORY'),
+    'processing_level': image.get('PROCESSING_LEVEL'),
+    'geometric_rmse_model': formatNumber(image.get('GEOMETRIC_RMSE_MODEL'), '%.3f'),
+    // OLI/TIRS 分别给出质量评分，TM/ETM+ 仅有 IMAGE_QUALITY
+    'image_quality': ee.Algorithms.If(image.propertyNames().contains('IMAGE_QUALITY_OLI'),
+      image.get('IMAGE_QUALITY_OLI'), image.get('IMAGE_QUALITY')),
+    'image_quality_tirs': image.get('IMAGE_QUALITY_TIRS'),
+    'sensor_id': image.get('SENSOR_ID'),
+    'spacecraft_id': image.get('SPACECRAFT_ID'),
+    'l1_product_id': image.get('L1_LANDSAT_PRODUCT_ID')
+  });
+}
+
+/**
+ * 生成影像集合的元数据表格
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @param {string|number} [timeZone='Asia/Shanghai'] - 本地时间的时区，参见 resolveTimeZone
+ * @return {ee.FeatureCollection} 元数据表格，number 为从1开始的序号
+ */
+function buildRecords(collection, timeZone) {
+  timeZone = resolveTimeZone(timeZone);
+  var records = collection.toList(collection.size().max(1)).iterate(function(image, list) {
+    list = ee.List(list);
+    return list.add(sceneRecord(ee.Image(image), timeZone).set('number', list.size().add(1)));
+  }, ee.List([]));
+  return ee.FeatureCollection(ee.List(records));
+}
+
+/**
+ * 检索 Landsat 影像
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection|ee.Geometry} params.geometry - 研究区域
+ * @param {string} params.startDate - 起始日期
+ * @param {string} params.endDate - 结束日期（不包含）
+ * @param {number} [params.cloudMin=0] - 云量下限（百分比）
+ * @param {number} [params.cloudMax=100] - 云量上限（百分比）
+ * @param {Array<string>} [params.satelliteIds] - 卫星标识符列表，默认为 SATELLITES 中的全部卫星
+ * @param {boolean} [params.aoiCloud=false] - 是否统计研究区域内的云量和覆盖率，参见 addAoiCover；
+ *   指定 aoiCloudMin 或 aoiCloudMax 时自动启用
+ * @param {number} [params.aoiCloudMin] - 研究区域云量下限（百分比）
+ * @param {number} [params.aoiCloudMax] - 研究区域云量上限（百分比）
+ * @param {number} [params.aoiScale=30] - 研究区域统计分辨率（米）
+ * @param {string|number} [params.timeZone='Asia/Shanghai'] - 本地时间的时区：IANA 时区名称、UTC 偏移字符串或小时数，参见 resolveTimeZone
+ * @param {string|Array<string>} [params.columns='basic'] - 输出字段：COLUMN_SETS 中的预设名称（'basic'、'full'）或字段列表，
+ *   参见 resolveColumns；字段列表中包含研究区域统计字段时自动启用 aoiCloud
+ * @return {Object} 检索结果：
+ *   collection - 筛选后的影像集合（原始波段，带有 SATELLITE、IMAGE_ID 属性，启用 aoiCloud 时另含 AOI_* 属性）
+ *   records - 元数据表格，参见 buildRecords
+ *   satelliteIds - 实际检索的卫星列表
+ *   columns - 输出字段（启用 aoiCloud 时包含研究区域统计字段）
+ */
+function searchScenes(params) {
+  var satelliteIds = core.validateSatellites(params.satelliteIds || Object.keys(core.SATELLITES));
+  var cloudMin = params.cloudMin === undefined ? 0 : params.cloudMin;
+  var cloudMax = params.cloudMax === undefined ? 100 : params.cloudMax;
+  var columns = resolveColumns(params.columns);
+
+  var collection = ee.ImageCollection([]);
+  satelliteIds.forEach(function(satelliteId) {
+    collection = collection.merge(ee.ImageCollection(core.SATELLITES[satelliteId].name)
+      .filterBounds(params.geometry)
+      .filterDate(params.startDate, params.endDate)
+      .filter(ee.Filter.and(
+        ee.Filter.gte('CLOUD_COVER', cloudMin),
+        ee.Filter.lte('CLOUD_COVER', cloudMax)
+      ))
+      .map(function(image) {
+        return image.set({'SATELLITE': satelliteId, 'IMAGE_ID': image.id()});
+      }));
+  });
+
+  // 研究区域云量统计及筛选
+  var aoiCloud = params.aoiCloud || params.aoiCloudMin !== undefined || params.aoiCloudMax !== undefined ||
+    AOI_COLUMNS.some(function(column) { return columns.indexOf(column) !== -1; });
+  if (aoiCloud) {
+    collection = addAoiCover(collection, params.geometry, params.aoiScale);
+    if (params.aoiCloudMin !== undefined) {
+      collection = collection.filter(ee.Filter.gte('AOI_CLOUD_COVER', params.aoiCloudMin));
+    }
+    if (params.aoiCloudMax !== undefined) {
+      collection = collection.filter(ee.Filter.lte('AOI_CLOUD_COVER', params.aoiCloudMax));
+    }
+  }
+
+  return {
+    collection: collection,
+    records: buildRecords(collection, params.timeZone),
+    satelliteIds: satelliteIds,
+    columns: resolveColumns(columns, aoiCloud)
+  };
 }
 
-// 获取Landsat影像集合
-// Landsat 4
-var L4collection = ee.ImageCollection('LANDSAT/LT04/C02/T1_L2')
-  .filterBounds(geometry)
-  .filterDate(date_start, date_end)
-  .filter(ee.Filter.and(
-    ee.Filter.gte('CLOUD_COVER', cloud_min),
-    ee.Filter.lte('CLOUD_COVER', cloud_max)
-  ));
-
-// Landsat 5
-var L5collection = ee.ImageCollection('LANDSAT/LT05/C02/T1_L2')
-  .filterBounds(geometry)
-  .filterDate(date_start, date_end)
-  .filter(ee.Filter.and(
-    ee.Filter.gte('CLOUD_COVER', cloud_min),
-    ee.Filter.lte('CLOUD_COVER', cloud_max)
-  ));
-
-// Landsat 7
-var L7collection = ee.ImageCollection('LANDSAT/LE07/C02/T1_L2')
-  .filterBounds(geometry)
-  .filterDate(date_start, date_end)
-  .filter(ee.Filter.and(
-    ee.Filter.gte('CLOUD_COVER', cloud_min),
-    ee.Filter.lte('CLOUD_COVER', cloud_max)
-  ));
-
-// Landsat 8
-var L8collection = ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
-  .filterBounds(geometry)
-  .filterDate(date_start, date_end)
-  .filter(ee.Filter.and(
-    ee.Filter.gte('CLOUD_COVER', cloud_min),
-    ee.Filter.lte('CLOUD_COVER', cloud_max)
-  ));
-
-// Landsat 9
-var L9collection = ee.ImageCollection('LANDSAT/LC09/C02/T1_L2')
-  .filterBounds(geometry)
-  .filterDate(date_start, date_end)
-  .filter(ee.Filter.and(
-    ee.Filter.gte('CLOUD_COVER', cloud_min),
-    ee.Filter.lte('CLOUD_COVER', cloud_max)
-  ));
-
-// 合并所有卫星的影像集合
-var mergedCollection = ee.ImageCollection(L4collection
-  .merge(L5collection)
-  .merge(L7collection)
-  .merge(L8collection)
-  .merge(L9collection));
-
-// 打印有效影像数量
-print('总影像数量:', mergedCollection.size());
-print('云量筛选范围:', cloud_min + '% - ' + cloud_max + '%');
-
-// 为每个卫星创建单独的路径行列表
-function createPathRowList(collection, satelliteName) {
+/**
+ * 提取影像集合中不重复的条带号
+ * @param {ee.ImageCollection} collection - 影像集合
+ * @return {ee.FeatureCollection} 每个要素包含 WRS_PATH 和 WRS_ROW
+ */
+function createPathRowList(collection) {
   return collection.map(function(image) {
     return ee.Feature(null, {
       'WRS_PATH': image.get('WRS_PATH'),
       'WRS_ROW': image.get('WRS_ROW')
     });
   }).distinct(['WRS_PATH', 'WRS_ROW']);
-
 }
 
-var L4pathRowList = createPathRowList(L4collection, 'Landsat 4');
-var L5pathRowList = createPathRowList(L5collection, 'Landsat 5');
-var L7pathRowList = createPathRowList(L7collection, 'Landsat 7');
-var L8pathRowList = createPathRowList(L8collection, 'Landsat 8');
-var L9pathRowList = createPathRowList(L9collection, 'Landsat 9');
+/**
+ * 打印各卫星及全部卫星覆盖研究区域的条带号
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @param {Array<string>} satelliteIds - 卫星标识符列表
+ */
+function printPathRows(collection, satelliteIds) {
+  print('\n各卫星覆盖研究区影像条带号信息:');
+  print(repeatStr('=', 40));
 
-// 创建分隔线函数
-function printSeparator() {
-  var separatorLine = repeatStr('-', 40);
-  print(separatorLine);
-}
+  satelliteIds.forEach(function(satelliteId) {
+    var satelliteName = 'Landsat ' + satelliteId.substring(1);
+    createPathRowList(collection.filter(ee.Filter.eq('SATELLITE', satelliteId))).evaluate(function(result) {
+      if (result.features.length > 0) {
+        print('\n' + satelliteName + '覆盖研究区影像条带号信息:');
+        print('若要完全覆盖研究区，需要' + result.features.length + '张不同条带号的影像，条带号信息为：');
+        printSeparator();
+        result.features.forEach(function(feature) {
+          print('path=' + feature.properties.WRS_PATH + ',row=' + feature.properties.WRS_ROW);
+        });
+        printSeparator();
+      }
+    });
+  });
 
-// 打印单个卫星的路径行信息
-function printSatelliteInfo(pathRowList, satelliteName) {
-  pathRowList.evaluate(function(result) {
-    if (result.features.length > 0) {
-      print('\n' + satelliteName + '覆盖研究区影像条带号信息:');
-      print('若要完全覆盖研究区，需要' + result.features.length + '张不同条带号的影像，条带号信息为：');
-  
+  createPathRowList(collection).evaluate(function(result) {
+    print('\n总体覆盖研究区影像条带号汇总:');
+    print('所有卫星合计需要' + result.features.length + '张不同条带号的影像，条带号信息为：');
+    printSeparator();
+
+    // 按照Path和Row排序
+    result.features.sort(function(a, b) {
+      return a.properties.WRS_PATH !== b.properties.WRS_PATH ?
+        a.properties.WRS_PATH - b.properties.WRS_PATH :
+        a.properties.WRS_ROW - b.properties.WRS_ROW;
+    }).forEach(function(feature) {
+      print('path=' + feature.properties.WRS_PATH + ',row=' + feature.properties.WRS_ROW);
+    });
     printSeparator();
-      
-      // 打印每个Path/Row组合
-      result.features.forEach(function(feature) {
-        var path = feature.properties.WRS_PATH;
-        var row = feature.properties.WRS_ROW;
-        print('path=' + path + ',row=' + row);
-      });
-      
-      printSeparator();
-    }
   });
 }
 
-// 打印每个卫星的路径行信息
-print('\n各卫星覆盖研究区影像条带号信息:');
-var separatorLine = repeatStr('=', 40);
-print(separatorLine);
+/**
+ * 在控制台打印元数据表格
+ * @param {ee.FeatureCollection} records - 元数据表格
+ * @param {Array<string>} [columns=DEFAULT_COLUMNS] - 输出字段
+ */
+function printRecordTable(records, columns) {
+  columns = columns || DEFAULT_COLUMNS;
+  records.evaluate(function(result) {
+    var header = columns.map(function(column) { return COLUMNS[column] || column; });
+    var tableData = [header].concat(result.features.map(function(feature) {
+      return columns.map(function(column) {
+        var value = feature.properties[column];
+        return value === null || value === undefined ? '' : String(value);
+      });
+    }));
 
-// 逐个打印每个卫星的信息
-printSatelliteInfo(L4pathRowList, 'Landsat 4');
-printSatelliteInfo(L5pathRowList, 'Landsat 5');
-printSatelliteInfo(L7pathRowList, 'Landsat 7');
-printSatelliteInfo(L8pathRowList, 'Landsat 8');
-printSatelliteInfo(L9pathRowList, 'Landsat 9');
+    // 计算表格列宽
+    var columnWidths = header.map(function(col) { return col.length; });
+    tableData.forEach(function(row) {
+      row.forEach(function(cell, i) {
+        columnWidths[i] = Math.max(columnWidths[i], cell.length);
+      });
+    });
 
-// 打印所有卫星的总体汇总信息
-var totalPathRowList = mergedCollection.map(function(image) {
-  return ee.Feature(null, {
-    'WRS_PATH': image.get('WRS_PATH'),
-    'WRS_ROW': image.get('WRS_ROW')
-  });
-}).distinct(['WRS_PATH', 'WRS_ROW']);
-
-totalPathRowList.evaluate(function(result) {
-  print('\n总体覆盖研究区影像条带号汇总:');
-  print('所有卫星合计需要' + result.features.length + '张不同条带号的影像，条带号信息为：');
-  printSeparator();
-  
-  // 按照Path和Row排序
-  result.features.sort(function(a, b) {
-    return a.properties.WRS_PATH !== b.properties.WRS_PATH ? 
-      a.properties.WRS_PATH - b.properties.WRS_PATH :
-      a.properties.WRS_ROW - b.properties.WRS_ROW;
-  }).forEach(function(feature) {
-    print('path=' + feature.properties.WRS_PATH + ',row=' + feature.properties.WRS_ROW);
-  });
-  printSeparator();
-});
-
-// 遍历集合中的每个图像并收集信息
-mergedCollection.evaluate(function(collection) {
-  // 创建表头
-  var header = ['序号', '影像ID', '云量', '获取日期', '获取时间(UTC)', '获取时间(北京时间)', '年份', '月份', 'Path', 'Row'];
-  var tableData = [header];
-  var featureList = [];
-  
-  // 计算表格列宽
-  var columnWidths = header.map(function(col) { return col.length; });
-  
-  collection.features.forEach(function(feature, index) {
-    var id = feature.id;
-    var cloudCover = feature.properties.CLOUD_COVER.toFixed(2) + '%';
-    var dateAcquired = feature.properties.DATE_ACQUIRED;
-    var sceneCenterTime = feature.properties.SCENE_CENTER_TIME;
-    var beijingTime = calcBeijingTime(sceneCenterTime);
-    var num = (index + 1).toString();
-    var path = feature.properties.WRS_PATH;
-    var row = feature.properties.WRS_ROW;
-    
-    // 提取年份和月份
-    var dateParts = dateAcquired.split('-');
-    var year = dateParts[0];
-    var month = dateParts[1];
-    
-    // 添加数据行
-    var row_data = [num, id, cloudCover, dateAcquired, sceneCenterTime, beijingTime, year, month, path, row];
-    tableData.push(row_data);
-    
-    // 更新列宽
-    row_data.forEach(function(cell, i) {
-      columnWidths[i] = Math.max(columnWidths[i], String(cell).length);
+    print('\n影像详细信息表:');
+    var totalWidth = columnWidths.reduce(function(sum, width) {
+      return sum + width;
+    }) + columnWidths.length * 3 - 1;
+
+    var separatorLine = repeatStr('=', totalWidth);
+    print(separatorLine);
+    tableData.forEach(function(row, rowIndex) {
+      var formattedRow = row.map(function(cell, i) {
+        return padString(cell, columnWidths[i]);
+      }).join(' | ');
+      print('| ' + formattedRow + ' |');
+
+      // 在表头后打印分隔线
+      if (rowIndex === 0) {
+        print(repeatStr('-', totalWidth));
+      }
     });
-    
-    // 创建用于导出的Feature
-    featureList.push(ee.Feature(null, {
-      'number': num,
-      'image_id': id,
-      'cloud_cover': cloudCover,
-      'date_acquired': dateAcquired,
-      'scene_center_time_utc': sceneCenterTime,
-      'scene_center_time_beijing': beijingTime,
-      'year': year,
-      'month': month,
-      'path': path,
-      'row': row
-    }));
-  });
-  
-  // 打印表格
-  print('\n影像详细信息表:');
-  
-  // 创建分隔线
-  var totalWidth = columnWidths.reduce(function(sum, width) { 
-    return sum + width; 
-  }) + columnWidths.length * 3 - 1;
-  
-  var separatorLine = repeatStr('=', totalWidth);
-  print(separatorLine);
-  
-  tableData.forEach(function(row, rowIndex) {
-    var formattedRow = row.map(function(cell, i) {
-      return String(cell) + repeatStr(' ', columnWidths[i] - String(cell).length);
-    }).join(' | ');
-    print('| ' + formattedRow + ' |');
-    
-    // 在表头后打印分隔线
-    if (rowIndex === 0) {
-      print(repeatStr('-', totalWidth));
-    }
+    print(separatorLine);
   });
-  print(separatorLine);
-  
-  // 创建FeatureCollection并导出到CSV
-  var featureCollection = ee.FeatureCollection(featureList);
+}
+
+/**
+ * 将元数据表格导出为 CSV
+ * @param {ee.FeatureCollection} records - 元数据表格
+ * @param {Object} options - 参数对象
+ * @param {string} options.description - 导出任务名称
+ * @param {string} [options.folder] - GDrive导出路径
+ * @param {Array<string>} [options.columns=DEFAULT_COLUMNS] - 输出字段
+ */
+function exportRecords(records, options) {
   Export.table.toDrive({
-    collection: featureCollection,
-    description: areaName.getInfo() + '_' + dateInfo + '_' + cloudInfo + '_metadata',
+    collection: records,
+    description: options.description,
+    folder: options.folder,
     fileFormat: 'CSV',
-    selectors: [
-      'number',
-      'image_id',
-      'path',
-      'row',
-      'date_acquired',
-      'scene_center_time_utc',
-      'scene_center_time_beijing',
-      'year',
-      'month',
-      'cloud_cover'
-    ]
+    selectors: options.columns || DEFAULT_COLUMNS
   });
-});
+  print('导出任务已创建:', options.description);
+}
 
-// 显示研究区域
-Map.centerObject(geometry, 10);
-Map.addLayer(geometry, {'color': 'red'}, '研究区域');
\ No newline at end of file
+exports.COLUMNS = COLUMNS;
+exports.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+exports.AOI_COLUMNS = AOI_COLUMNS;
+exports.COLUMN_SETS = COLUMN_SETS;
+exports.resolveColumns = resolveColumns;
+exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+exports.resolveTimeZone = resolveTimeZone;
+exports.solarTime = solarTime;
+exports.addAoiCover = addAoiCover;
+exports.sceneRecord = sceneRecord;
+exports.buildRecords = buildRecords;
+exports.searchScenes = searchScenes;
+exports.createPathRowList = createPathRowList;
+exports.printPathRows = printPathRows;
+exports.printRecordTable = printRecordTable;
+exports.exportRecords = exportRecords;
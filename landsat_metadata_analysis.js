@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Landsat 影像元数据检索报告
+ *
+ * 根据用户定义的时间范围、云量范围和研究区范围，搜索 Landsat 4/5/7/8/9 影像元数据信息，
+ * 在控制台打印各卫星覆盖研究区的条带号和影像详细信息表，并导出元数据表格（CSV格式）。
+ * 可选生成研究区域覆盖规划（逐日期覆盖比例、按时间窗口推荐的影像组合及影像足迹叠加显示）
+ * 和数据可用性日历（卫星 × 年份 × 月份的影像数量及晴空影像数量），
+ * 以及导出影像足迹矢量文件（SHP/KML/GeoJSON，属性字段与元数据表格一致）并按卫星或云量着色显示；
+ * 还可按条带号（及年份）推荐得分最高的最佳影像并导出排序表。
+ * 检索及表格工具由 landsat_metadata.js 提供，其他脚本可直接调用其中的 searchScenes 复用检索结果；
+ * 覆盖规划及影像足迹由 landsat_coverage.js 提供，数据可用性日历由 landsat_availability.js 提供，
+ * 最佳影像筛选由 landsat_selection.js 提供。
+ */
+
+// 引入元数据检索工具、覆盖规划工具、数据可用性日历工具和最佳影像筛选工具（请将路径替换为实际的代码仓库路径）
+var metadata = require('users/your_username/GEE_script4landsat:landsat_metadata');
+var coverage = require('users/your_username/GEE_script4landsat:landsat_coverage');
+var availability = require('users/your_username/GEE_script4landsat:landsat_availability');
+var selection = require('users/your_username/GEE_script4landsat:landsat_selection');
+
+/**
+ * 主函数：检索研究区域的 Landsat 影像并输出元数据报告
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {string} params.startDate - 起始日期
+ * @param {string} params.endDate - 结束日期（不包含）
+ * @param {number} [params.cloudMin=0] - 云量下限（百分比）
+ * @param {number} [params.cloudMax=100] - 云量上限（百分比）
+ * @param {Array<string>} [params.satelliteIds=['L4', 'L5', 'L7', 'L8', 'L9']] - 卫星标识符列表
+ * @param {boolean} [params.aoiCloud=false] - 是否由 QA_PIXEL 统计研究区域内的云、云阴影、雪/冰占比和覆盖率，并输出到表格
+ * @param {number} [params.aoiCloudMin] - 研究区域云量下限（百分比），指定时自动启用 aoiCloud
+ * @param {number} [params.aoiCloudMax] - 研究区域云量上限（百分比），指定时自动启用 aoiCloud
+ * @param {number} [params.aoiScale=30] - 研究区域统计分辨率（米）
+ * @param {string|number} [params.timeZone='Asia/Shanghai'] - 本地时间的时区：IANA 时区名称（如 'Europe/Berlin'）、
+ *   UTC 偏移字符串（如 '+05:30'）或小时数（如 -3）
+ * @param {string|Array<string>} [params.columns='basic'] - 控制台表格和CSV的输出字段：'basic'、'full' 或字段列表，
+ *   参见 landsat_metadata.js 中的 COLUMNS 和 COLUMN_SETS
+ * @param {boolean|Object} [params.coveragePlan=false] - 是否生成覆盖规划：true 使用默认参数，
+ *   或配置对象 {windowDays: 16, minGain: 0.01}，参见 landsat_coverage.js 中的 planCoverage
+ * @param {boolean|Object} [params.calendar=false] - 是否生成数据可用性日历：true 使用默认晴空云量阈值（20%），
+ *   或配置对象 {clearThreshold: 20}，参见 landsat_availability.js
+ * @param {boolean|Object} [params.footprints=false] - 是否导出并显示影像足迹：true 使用默认参数，
+ *   或配置对象 {formats: ['SHP', 'KML', 'GeoJSON'], clip: 'both', colorBy: 'satellite'}，
+ *   clip 可选 'clipped'（裁剪至研究区域）、'unclipped'（完整足迹）或 'both'，colorBy 可选 'satellite' 或 'cloud'，
+ *   参见 landsat_coverage.js 中的 exportFootprints 和 addStyledFootprints
+ * @param {boolean|Object} [params.bestScenes=false] - 是否按条带号（及年份）推荐最佳影像（自动启用 aoiCloud）：true 使用默认参数，
+ *   或配置对象 {season: 'JJA', months: [6, 8], minSunElevation: 30, pathRows: [[123, 32]], targetDate: '07-15',
+ *   maxDays: 60, weights: {cloud: 0.5, coverage: 0.3, date: 0.2}, topN: 3, perYear: true}，参见 landsat_selection.js
+ * @param {string} [params.outputPath] - GDrive导出路径，缺省时导出到 Drive 根目录
+ * @return {Object} searchScenes 的检索结果 {collection, records, satelliteIds, columns}
+ */
+exports.reportMetadata = function(params) {
+  // 设置默认值
+  params.cloudMin = params.cloudMin === undefined ? 0 : params.cloudMin;
+  params.cloudMax = params.cloudMax === undefined ? 100 : params.cloudMax;
+  params.timeZone = metadata.resolveTimeZone(params.timeZone);
+  if (params.bestScenes) {
+    // 最佳影像评分需要研究区域云量和覆盖率
+    params.aoiCloud = true;
+  }
+
+  // 获取研究区域名称（从table的路径中提取最后一段）
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+
+  // 构建文件名中的日期和云量信息
+  var dateInfo = params.startDate.replace(/-/g, '') + '_' + params.endDate.replace(/-/g, '');
+  var cloudInfo = 'cloud_' + params.cloudMin + '_' + params.cloudMax;
+
+  var result = metadata.searchScenes(params);
+
+  // 打印有效影像数量
+  print('总影像数量:', result.collection.size());
+  print('云量筛选范围:', params.cloudMin + '% - ' + params.cloudMax + '%');
+  print('本地时间时区:', params.timeZone);
+  if (params.aoiCloudMin !== undefined || params.aoiCloudMax !== undefined) {
+    print('研究区云量筛选范围:', (params.aoiCloudMin || 0) + '% - ' +
+      (params.aoiCloudMax === undefined ? 100 : params.aoiCloudMax) + '%');
+  }
+
+  // 打印各卫星及总体的条带号信息
+  metadata.printPathRows(result.collection, result.satelliteIds);
+
+  // 打印并导出影像详细信息表
+  metadata.printRecordTable(result.records, result.columns);
+  metadata.exportRecords(result.records, {
+    description: areaName + '_' + dateInfo + '_' + cloudInfo + '_metadata',
+    folder: params.outputPath,
+    columns: result.columns
+  });
+
+  // 最佳影像筛选
+  if (params.bestScenes) {
+    var best = selection.selectBestScenes(result.collection, params.bestScenes === true ? {} : params.bestScenes);
+    print('最佳影像排序表:', best.ranking);
+    print('最佳影像ID列表:', best.imageIds);
+    selection.exportRanking(best.ranking, {
+      description: areaName + '_' + dateInfo + '_' + cloudInfo + '_best_scenes',
+      folder: params.outputPath
+    });
+  }
+
+  // 数据可用性日历
+  if (params.calendar) {
+    availability.reportAvailability(result.collection, {
+      satelliteIds: result.satelliteIds,
+      startYear: Number(params.startDate.substring(0, 4)),
+      // 结束日期不包含在内：为1月1日时最后一年为前一年
+      endYear: Number(params.endDate.substring(0, 4)) - (params.endDate.substring(5, 10) === '01-01' ? 1 : 0),
+      clearThreshold: params.calendar.clearThreshold,
+      description: areaName + '_' + dateInfo + '_' + cloudInfo + '_availability',
+      folder: params.outputPath
+    });
+  }
+
+  Map.centerObject(params.geometry, 10);
+
+  var footprints = coverage.sceneFootprints(result.collection);
+
+  // 覆盖规划（影像足迹叠加显示在研究区域下方）
+  if (params.coveragePlan) {
+    var byDate = coverage.coverageByDate(footprints, params.geometry);
+    var plan = coverage.planCoverage(footprints, params.geometry, {
+      startDate: params.startDate,
+      endDate: params.endDate,
+      windowDays: params.coveragePlan.windowDays,
+      minGain: params.coveragePlan.minGain
+    });
+    print('逐日期研究区覆盖情况:', byDate);
+    print('覆盖规划（推荐影像组合）:', plan);
+    coverage.exportCoverage(byDate, plan, {
+      description: areaName + '_' + dateInfo + '_' + cloudInfo,
+      folder: params.outputPath
+    });
+    coverage.addFootprintLayers(footprints, plan);
+  }
+
+  // 影像足迹矢量导出及着色显示
+  if (params.footprints) {
+    var footprintOptions = params.footprints === true ? {} : params.footprints;
+    coverage.exportFootprints(result.records, footprints, params.geometry, {
+      formats: footprintOptions.formats,
+      clip: footprintOptions.clip,
+      columns: result.columns,
+      description: areaName + '_' + dateInfo + '_' + cloudInfo,
+      folder: params.outputPath
+    });
+    coverage.addStyledFootprints(footprints, footprintOptions.colorBy);
+  }
+
+  // 显示研究区域
+  Map.addLayer(params.geometry, {'color': 'red'}, '研究区域');
+
+  return result;
+};
+
+// 使用示例
+var aoi = table; // 用户自定义研究区域
+
+var params = {
+  geometry: aoi,
+  startDate: '2023-01-01',
+  endDate: '2023-12-31',
+  cloudMin: 0,           // 云量下限（百分比）
+  cloudMax: 100,         // 云量上限（百分比）
+  satelliteIds: ['L4', 'L5', 'L7', 'L8', 'L9'],
+  aoiCloud: true,        // 统计研究区域内的云量和覆盖率
+  // aoiCloudMax: 10,    // 仅保留研究区域云量不超过10%的影像
+  aoiScale: 30,          // 研究区域统计分辨率（米），研究区域较大时可设为 90 或更大
+  timeZone: 'Asia/Shanghai',  // 本地时间时区：IANA 名称如 'Europe/Berlin'，或偏移如 8、'-03:00'
+  coveragePlan: {windowDays: 16},  // 覆盖规划：false 不生成，或 {windowDays: 16, minGain: 0.01}
+  calendar: {clearThreshold: 20},  // 数据可用性日历：false 不生成，或 {clearThreshold: 20}
+  bestScenes: {season: 'JJA', minSunElevation: 30, targetDate: '07-15', topN: 3, perYear: true},  // 最佳影像：false 不筛选
+  footprints: {formats: ['SHP', 'KML', 'GeoJSON'], clip: 'both', colorBy: 'satellite'},  // 影像足迹：false 不导出，colorBy 可选 'cloud'
+  columns: 'basic'       // 输出字段：'basic'、'full'，或列表如 ['image_id', 'date_acquired', 'sun_elevation', 'collection_category']
+};
+
+exports.reportMetadata(params);
@@ -1,8 +1,9 @@
 /**
  * @fileoverview 基于Landsat卫星数据的NDBI时间序列分析工具
  *
- * 本模块提供了一套完整的工具，用于计算特定研究区域内的NDBI（归一化差值建筑指数）时间序列均值。
+ * 本模块提供了一套完整的工具，用于计算特定研究区域内的NDBI（归一化差值建筑指数）时间序列统计值（默认为均值，可同时输出中值、标准差、百分位数等多个统计量）。
  * 支持Landsat 4/5/7/8/9卫星数据的处理，包含云掩膜、异常值处理等功能。
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供。
  *
  * 参考文献：
  * [1] Zha, Yongnian, et al. "Use of normalized difference built-up index in automatically mapping urban areas from TM imagery." International journal of remote sensing 24.3 (2003): 583-594.
@@ -17,81 +18,20 @@
  *  [0.7, 1.0]  - 高密度建筑区域
  */
 
-// 定义支持的卫星数据集
-var SATELLITES = {
-  L4: {name: 'LANDSAT/LT04/C02/T1_L2', startYear: 1982, endYear: 1993},
-  L5: {name: 'LANDSAT/LT05/C02/T1_L2', startYear: 1984, endYear: 2012},
-  L7: {name: 'LANDSAT/LE07/C02/T1_L2', startYear: 1999, endYear: 2022},
-  L8: {name: 'LANDSAT/LC08/C02/T1_L2', startYear: 2013, endYear: null},
-  L9: {name: 'LANDSAT/LC09/C02/T1_L2', startYear: 2021, endYear: null}
-};
-
-/**
- * 为不同Landsat卫星选择合适的SWIR和NIR波段
- * @param {string} satellite - 卫星标识符 ('L4', 'L5', 'L7', 'L8', 'L9')
- * @return {Object} 包含SWIR和NIR波段名称的对象
- */
-function getBandNames(satellite) {
-  if (satellite === 'L8' || satellite === 'L9') {
-    return {swir: 'SR_B7', nir: 'SR_B5'};
-  } else {
-    return {swir: 'SR_B7', nir: 'SR_B4'};
-  }
-}
-
-/**
- * 对Landsat影像进行云和云阴影掩膜处理
- * @param {ee.Image} image - 输入影像
- * @return {ee.Image} 掩膜后的影像
- */
-function maskClouds(image) {
-  var qa = image.select('QA_PIXEL');
-  var cloudMask = qa.bitwiseAnd(1 << 3).or(qa.bitwiseAnd(1 << 4));
-  return image.updateMask(cloudMask.not());
-}
+// 引入公共核心模块、光谱指数注册表、分区统计工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
 
 /**
  * 计算NDBI并进行异常值处理
- * @param {ee.Image} image - 输入影像
- * @param {string} satellite - 卫星标识符
+ * @param {ee.Image} image - 输入影像（通用波段名，已缩放）
  * @return {ee.Image} 添加了NDBI波段的影像
  */
-function computeNDBI(image, satellite) {
-  var bands = getBandNames(satellite);
-
-  // 计算NDBI
-  var ndbi = image.expression(
-    '(swir - nir) / (swir + nir)', {
-      'swir': image.select(bands.swir).multiply(0.0000275).add(-0.2),
-      'nir': image.select(bands.nir).multiply(0.0000275).add(-0.2)
-    }
-  ).rename('NDBI');
-
-  // 限制NDBI值域在[-1,1]范围内
-  ndbi = ndbi.where(ndbi.lt(-1), -1).where(ndbi.gt(1), 1);
-
-  return image.addBands(ndbi);
-}
-
-/**
- * 从影像集合中提取路径行信息
- * @param {ee.ImageCollection} collection - Landsat影像集合
- * @return {ee.List} WRS-2系统的路径行号列表
- */
-function extractPathRows(collection) {
-  // 将每个影像的路径行信息转换为Feature
-  var features = collection.map(function(image) {
-    var path = ee.Number(image.get('WRS_PATH'));
-    var row = ee.Number(image.get('WRS_ROW'));
-    return ee.Feature(null, {
-      'pathRow': ee.String(path).cat('_').cat(row),
-      'path': path,
-      'row': row
-    });
-  });
-
-  // 使用pathRow属性去重并提取唯一值
-  return ee.FeatureCollection(features).distinct(['pathRow']).aggregate_array('pathRow');
+function computeNDBI(image) {
+  // 使用指数注册表计算NDBI，结果已限制在[-1,1]范围内
+  return image.addBands(indices.computeIndex(image, 'NDBI'));
 }
 
 // 添加打印调试信息的函数
@@ -104,44 +44,55 @@ var printInfo = function(msg) { print('信息:', msg); };
  * @param {string} params.startDate - 起始日期 (YYYY-MM-DD)
  * @param {string} params.endDate - 结束日期 (YYYY-MM-DD)
  * @param {string} params.satelliteId - 卫星标识符
+ * @param {string|Array<string>} [params.statType='mean'] - 统计方式或统计方式列表：'mean'、'median'、'min'、'max'、'stdDev'、'range'
+ *   或百分位数如 'p90'；为列表时导出多波段影像，波段命名为 NDBI_<统计方式>，参见 landsat_core.js 中的 resolveStats
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {Array<string>|string} [params.sceneIds] - 仅使用指定影像：影像ID列表（如 ['LC08_123032_20230101']），
+ *   或包含 image_id 字段的表格资产路径（如 landsat_metadata.js 导出的元数据表格），参见 landsat_core.js 中的 resolveSceneIds
+ * @param {Array<string>|string} [params.excludeIds] - 排除指定影像，格式同 sceneIds
+ * @param {boolean|Array<string>|Object} [params.zonal=false] - 是否按研究区域中的每个要素进行分区统计并导出CSV：true 使用默认统计量，
+ *   或统计量列表如 ['mean', 'median', 'stdDev', 'p10', 'p90']，或配置对象，参见 landsat_zonal.js 中的 resolveZonal
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
  * @param {string} params.outputPath - GDrive导出路径
  * @return {ee.Dictionary} 统计结果
  */
 exports.calculateNDBIStats = function(params) { // 函数名修改为 calculateNDBIStats
   // 验证输入参数
-  if (!SATELLITES[params.satelliteId]) {
+  if (!core.SATELLITES[params.satelliteId]) {
     throw new Error('不支持的卫星类型: ' + params.satelliteId);
   }
-
-  // 获取影像集合
-  var collection = ee.ImageCollection(SATELLITES[params.satelliteId].name)
-    .filterDate(params.startDate, params.endDate)
-    .filterBounds(params.geometry);
+  params.statType = params.statType || 'mean';
+  core.resolveStats(params.statType);
+  zonal.resolveZonal(params.zonal);
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
+
+  // 获取影像集合（已完成波段统一、缩放和云掩膜）
+  var collection = core.getCollection(params.satelliteId, {
+    startDate: params.startDate,
+    endDate: params.endDate,
+    geometry: params.geometry,
+    mask: params.mask,
+    sceneIds: params.sceneIds,
+    excludeIds: params.excludeIds
+  });
 
   // 提取影像集合中的路径行信息
-  var pathRows = extractPathRows(collection);
+  var pathRows = core.extractPathRows(collection);
 
   // 处理影像集合
-  var processedCollection = collection
-    .map(function(image) {
-      return maskClouds(image);
-    })
-    .map(function(image) {
-      return computeNDBI(image, params.satelliteId); // 函数名修改为 computeNDBI
-    });
+  var processedCollection = collection.map(computeNDBI);
 
   printInfo('发现的影像数量: ' + collection.size().getInfo());
   printInfo('有效处理的影像数量: ' + processedCollection.size().getInfo());
 
-  // 计算NDBI均值
-  var meanNDBI = processedCollection // 变量名修改为 meanNDBI
-    .select('NDBI') // 波段名修改为 NDBI
-    .mean();
+  // 计算NDBI统计值
+  var statNDBI = core.compositeStats(processedCollection, 'NDBI', params.statType);
 
   // 准备输出结果
   var stats = {
     imageCount: processedCollection.size(),
-    meanNDBI: meanNDBI.reduceRegion({ // 变量名修改为 meanNDBI
+    meanNDBI: statNDBI.reduceRegion({ // 研究区域内各统计波段的均值
       reducer: ee.Reducer.mean(),
       geometry: params.geometry,
       scale: 30,
@@ -162,20 +113,32 @@ exports.calculateNDBIStats = function(params) { // 函数名修改为 calculateN
   print('区域名称:', areaName);
 
   // 导出GeoTIFF
-  Export.image.toDrive({
-    image: meanNDBI.float(), // 变量名修改为 meanNDBI
-    description: areaName + '_NDBI_mean_' + params.startDate + '_' + params.endDate, // 文件名修改为 NDBI
-    folder: params.outputPath,
+  exporter.exportImage(statNDBI, {
+    description: areaName + '_NDBI_' + core.statSuffix(params.statType) + '_' + params.startDate + '_' + params.endDate,
+    fields: {area: areaName, product: 'NDBI_' + core.statSuffix(params.statType), start: params.startDate, end: params.endDate},
     region: params.geometry,
-    scale: 30,
-    maxPixels: 1e9,
-    fileFormat: 'GeoTIFF'
+    folder: params.outputPath,
+    config: params.exportOptions
   });
 
+  // 分区统计
+  if (params.zonal) {
+    zonal.exportZonalStats([
+      zonal.zonalStats(statNDBI, params.geometry, {
+        zonal: params.zonal,
+        period: {start: params.startDate, end: params.endDate}
+      })
+    ], params.geometry, {
+      zonal: params.zonal,
+      description: areaName + '_NDBI_' + core.statSuffix(params.statType) + '_' + params.startDate + '_' + params.endDate + '_zonal_stats',
+      folder: params.outputPath
+    });
+  }
+
   // 添加到地图显示
   Map.centerObject(params.geometry, 9);
   Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
-  Map.addLayer(meanNDBI.clip(params.geometry), { // 变量名修改为 meanNDBI
+  Map.addLayer(exporter.displayImage(statNDBI.select(0), params.geometry, params.exportOptions), { // 多个统计方式时显示第一个
     min: -1,
     max: 1,
     palette: [ // 修改为 NDBI 适用的灰度配色方案
@@ -189,7 +152,7 @@ exports.calculateNDBIStats = function(params) { // 函数名修改为 calculateN
       '#303030', // 极高密度建筑 (Very Black)
       '#101010'  // 最高密度建筑 (Deep Black)
     ]
-  }, 'NDBI均值'); // 图层名修改为 NDBI均值
+  }, 'NDBI' + core.statLabel(params.statType));
 
   return ee.Dictionary(stats);
 };
@@ -202,6 +165,12 @@ var params = {
   startDate: '2020-01-01',
   endDate: '2020-12-31',
   satelliteId: 'L8',
+  statType: 'mean', // 统计方式，也可同时指定多个，如 ['mean', 'median', 'stdDev', 'p10', 'p90']
+  mask: 'basic', // 掩膜方案：'basic'、'standard'、'strict'，或 {profile: 'standard', buffer: 300} 等自定义配置
+  zonal: false, // 分区统计：true 或 ['mean', 'median', 'stdDev', 'p10', 'p90'] 等
+  // sceneIds: ['LC08_123032_20200728'], // 仅使用指定影像，或表格资产路径如 'users/your_username/best_scenes'
+  // excludeIds: ['LC08_123032_20200610'], // 排除指定影像
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'}, // 导出配置：如 {destination: 'asset', assetFolder: 'users/your_username/landsat'}，参见 landsat_export.js
   outputPath: 'NDBI_Results' // 输出路径修改为 NDBI_Results
 };
 
@@ -1,18 +1,19 @@
 /**
  * @fileoverview 基于Landsat卫星数据的NDVI时间序列分析工具
  *
- * 本模块提供了一套完整的工具，用于计算特定研究区域内的NDVI（归一化植被指数）时间序列统计值（均值、最大值、最小值或中值）。
+ * 本模块提供了一套完整的工具，用于计算特定研究区域内的NDVI（归一化植被指数）时间序列统计值（均值、中值、标准差、百分位数、最小值/最大值、极差，可同时输出多个统计量）。
  * 支持Landsat 4/5/7/8/9卫星数据的处理，包含云掩膜、异常值处理等功能，支持多时间段批量处理。
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供。
  */
 
-// 定义支持的卫星数据集
-var SATELLITES = {
-  L4: {name: 'LANDSAT/LT04/C02/T1_L2', startYear: 1982, endYear: 1993},
-  L5: {name: 'LANDSAT/LT05/C02/T1_L2', startYear: 1984, endYear: 2012},
-  L7: {name: 'LANDSAT/LE07/C02/T1_L2', startYear: 1999, endYear: 2022},
-  L8: {name: 'LANDSAT/LC08/C02/T1_L2', startYear: 2013, endYear: null},
-  L9: {name: 'LANDSAT/LC09/C02/T1_L2', startYear: 2021, endYear: null}
-};
+// 引入公共核心模块、光谱指数注册表、时间段生成工具、分区统计工具、趋势分析工具、逐景时间序列工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+var trend = require('users/your_username/GEE_script4landsat:landsat_trend');
+var timeseries = require('users/your_username/GEE_script4landsat:landsat_timeseries');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
 
 // 卫星配置（可修改）
 var satelliteConfig = {
@@ -24,73 +25,87 @@ var satelliteConfig = {
 };
 
 // 设置时间段列表（示例）
-var timePeriods = [
+// 可手工编写 {start, end} 列表，也可以使用 landsat_periods.js 自动生成：
+//   逐年：{type: 'yearly', startYear: 2018, endYear: 2020}
+//   逐月：{type: 'monthly', startYear: 2018, endYear: 2020}
+//   逐季：{type: 'seasonal', startYear: 2018, endYear: 2020}
+//   每年6-8月：{type: 'season', startYear: 1990, endYear: 2020, startMonth: 6, endMonth: 8}
+//   每年第150-250天：{type: 'doy', startYear: 1990, endYear: 2020, startDoy: 150, endDoy: 250}
+var timePeriods = periods.resolvePeriods([
   {start: '2020-01-01', end: '2020-12-31'},
   {start: '2019-01-01', end: '2019-12-31'},
   {start: '2018-01-01', end: '2018-12-31'}
-];
+]);
 
-// 选择统计方式：'mean'(均值), 'max'(最大值), 'min'(最小值) 或 'median'(中值)
+// 选择统计方式：'mean'(均值), 'max'(最大值), 'min'(最小值), 'median'(中值), 'stdDev'(标准差), 'range'(极差)
+// 或百分位数如 'p90'。也可同时指定多个统计方式，如 ['mean', 'median', 'stdDev', 'p10', 'p90']，
+// 此时每个时间段导出一个多波段影像，波段命名为 NDVI_<统计方式>
 var statType = 'mean';
 
-/**
- * 对Landsat影像进行云和云阴影掩膜处理
- * @param {ee.Image} image - 输入影像
- * @return {ee.Image} 掩膜后的影像
- */
-function maskClouds(image) {
-  var qa = image.select('QA_PIXEL');
-  var cloudMask = qa.bitwiseAnd(1 << 3).or(qa.bitwiseAnd(1 << 4));
-  return image.updateMask(cloudMask.not());
-}
+// 选择掩膜方案：'basic'(云和云阴影), 'standard'(另含填充值、膨胀云、卷云和辐射饱和), 'strict'(另含雪和中等置信度云)
+// 也可使用标志位列表或配置对象，如 {profile: 'standard', buffer: 300}，参见 landsat_core.js 中的 resolveMask
+var maskOption = 'basic';
+
+// 跨传感器归一化：false(不归一化), true 或 'roy2016_rma'(约化主轴回归), 'roy2016_ols'(最小二乘回归)
+// 启用后 TM/ETM+ 反射率将在计算NDVI前转换至 OLI
+var harmonizeOption = false;
+
+// 指定影像列表：null(检索时间段内的全部影像), 影像ID列表如 ['LC08_123032_20200728'],
+// 或包含 image_id 字段的表格资产路径（如 landsat_metadata.js 导出的元数据表格或 landsat_selection.js 导出的最佳影像表），
+// 指定后仅处理列表中的影像（仍按时间段划分），参见 landsat_core.js 中的 resolveSceneIds
+var sceneIdsOption = null;
+
+// 排除影像列表：null(不排除), 或与 sceneIdsOption 相同格式的影像ID列表 / 表格资产路径
+var excludeIdsOption = null;
+
+// 是否在导出结果中附加质量波段：有效观测次数(valid_count)、总观测次数(total_count)、有效占比(clear_pct)，
+// 统计方式为 'max' 或 'min' 时另含被选中观测的年份(obs_year)和年积日(obs_doy)
+var includeQualityBands = false;
+
+// 分区统计：false(不统计), true(默认统计量), 或统计量列表如 ['mean', 'median', 'stdDev', 'p10', 'p90']
+// 启用后按研究区域中的每个要素统计各时间段NDVI，并导出一个CSV表格，参见 landsat_zonal.js
+var zonalOption = false;
+zonal.resolveZonal(zonalOption);
+
+// 趋势分析：false(不分析), true(默认显著性水平 0.01/0.05), 或配置对象如 {alpha: [0.01, 0.05]}
+// 启用后对各时间段的NDVI逐像元计算 Sen's slope 和 Mann-Kendall 检验（需至少3个时间段），参见 landsat_trend.js
+// 多个统计方式时使用第一个统计方式的波段
+var trendOption = false;
+
+// 逐景时间序列：启用后统计每景掩膜后影像在研究区域内的NDVI均值和有效像元占比，
+// 按卫星分组绘制图表，并导出CSV（日期、卫星、传感器、路径行、均值、有效像元占比），参见 landsat_timeseries.js
+var timeSeriesOption = false;
+
+// 栅格导出配置：目的地（'drive'、'asset'、'gcs'）、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值和命名模板，
+// 如 {dataType: 'int16', multiplier: 10000, noData: -32768} 可显著减小文件体积（附加质量波段时请使用 int32），参见 landsat_export.js 中的 resolveExport
+// 导出范围：'clip'(裁剪至研究区域), 'bounds'(外接矩形), 或 {buffer: 5000}(外扩5公里，默认，与早期版本一致)，地图图层使用相同范围；
+// 与其他脚本使用相同的导出范围、CRS 和分辨率时，各指数结果可逐像元对齐（其他脚本默认为 'clip'）
+var exportOption = exporter.resolveExport({
+  destination: 'drive',
+  region: {buffer: 5000},
+  crs: 'EPSG:4326',
+  scale: 30,
+  maxPixels: 1e13,
+  dataType: 'float'
+});
+
+// 各时间段的分区统计结果
+var zonalTables = [];
+
+// 各时间段的逐景时间序列
+var seriesTables = [];
+
+// 各时间段的NDVI合成影像（用于趋势分析）
+var composites = [];
 
 /**
  * 计算NDVI并进行异常值处理
- * @param {ee.Image} image - 输入影像
+ * @param {ee.Image} image - 输入影像（通用波段名，已缩放）
  * @return {ee.Image} 添加了NDVI波段的影像
  */
 function computeNDVI(image) {
-  // 获取卫星ID并判断波段
-  var spacecraftId = ee.String(image.get('SPACECRAFT_ID'));
-  var isNewSatellite = spacecraftId.match('LANDSAT_[89]').length().gt(0);
-
-  // 根据卫星类型选择波段
-  var nir = ee.String(ee.Algorithms.If(isNewSatellite, 'SR_B5', 'SR_B4'));
-  var red = ee.String(ee.Algorithms.If(isNewSatellite, 'SR_B4', 'SR_B3'));
-
-  // 计算NDVI
-  var ndvi = image.expression(
-    '(nir - red) / (nir + red)', {
-      'nir': image.select(nir).multiply(0.0000275).add(-0.2),
-      'red': image.select(red).multiply(0.0000275).add(-0.2)
-    }
-  ).rename('NDVI');
-
-  // 限制NDVI值域在[-1,1]范围内
-  ndvi = ndvi.where(ndvi.lt(-1), -1).where(ndvi.gt(1), 1);
-
-  return image.addBands(ndvi);
-}
-
-/**
- * 从影像集合中提取路径行信息
- * @param {ee.ImageCollection} collection - Landsat影像集合
- * @return {ee.List} WRS-2系统的路径行号列表
- */
-function extractPathRows(collection) {
-  var features = collection.map(function(image) {
-    var path = ee.Number(image.get('WRS_PATH'));
-    var row = ee.Number(image.get('WRS_ROW'));
-    return ee.Feature(null, {
-      'pathRow': ee.String(path).cat('_').cat(row),
-      'path': path,
-      'row': row
-    });
-  });
-
-  return ee.FeatureCollection(features)
-    .distinct(['pathRow'])
-    .aggregate_array('pathRow');
+  // 使用指数注册表计算NDVI，结果已限制在[-1,1]范围内
+  return image.addBands(indices.computeIndex(image, 'NDVI'));
 }
 
 /**
@@ -107,25 +122,28 @@ function processNDVI(startDate, endDate, geometry, outputPath) {
     return satelliteConfig[sat];
   });
 
-  // 合并所有启用卫星的数据
-  var mergedCollection = ee.ImageCollection([]);
-  enabledSatellites.forEach(function(satellite) {
-    var collection = ee.ImageCollection(SATELLITES[satellite].name)
-      .filterDate(startDate, endDate)
-      .filterBounds(geometry);
-
-    mergedCollection = mergedCollection.merge(collection);
+  // 合并所有启用卫星的数据（已完成波段统一、缩放和云掩膜）
+  var mergedCollection = core.getMergedCollection(enabledSatellites, {
+    startDate: startDate,
+    endDate: endDate,
+    geometry: geometry,
+    mask: maskOption,
+    harmonize: harmonizeOption,
+    sceneIds: sceneIdsOption,
+    excludeIds: excludeIdsOption
   });
 
   // 处理影像集合
-  var processedCollection = mergedCollection
-    .map(maskClouds)
-    .map(computeNDVI);
+  var processedCollection = mergedCollection.map(computeNDVI);
 
   // 计算NDVI统计值
-  var statNDVI = processedCollection
-    .select('NDVI')
-    [statType]();
+  var statNDVI = core.compositeStats(processedCollection, 'NDVI', statType)
+    .set({
+      'period_start': startDate,
+      'period_end': endDate,
+      'system:time_start': ee.Date(startDate).millis()
+    });
+  composites.push(statNDVI);
 
   // 获取研究区域名称
   var areaName = ee.String(table.get('system:id')).split('/').get(-1);
@@ -138,35 +156,43 @@ function processNDVI(startDate, endDate, geometry, outputPath) {
   // 构建文件名
   var filename = ee.String(areaName)
     .cat('_NDVI_')
-    .cat(statType)
+    .cat(core.statSuffix(statType))
     .cat('_')
     .cat(startDateFormatted)
     .cat('_')
     .cat(endDateFormatted);
 
-  // 导出GeoTIFF
-  // 创建外扩5公里的导出边界
-  var exportRegion = ee.FeatureCollection(geometry).geometry().buffer(5000);
-  
-  Export.image.toDrive({
-    image: statNDVI.float(),
+  // 附加质量波段
+  var exportImage = statNDVI;
+  if (includeQualityBands) {
+    exportImage = statNDVI.addBands(core.qualityBands(processedCollection, 'NDVI', statType));
+  }
+
+  // 导出GeoTIFF（导出范围由 exportOption 决定）
+  exporter.exportImage(exportImage, {
     description: filename.getInfo(),
+    fields: {area: areaName.getInfo(), product: 'NDVI_' + core.statSuffix(statType), start: startDate, end: endDate},
+    region: geometry,
     folder: outputPath,
-    region: exportRegion,  // 使用外扩5公里的区域作为导出边界
-    scale: 30,
-    maxPixels: 1e13,
-    fileFormat: 'GeoTIFF'
+    config: exportOption
   });
 
-  // 添加到地图显示
-  var statTypeDisplay = {
-    'mean': '均值',
-    'max': '最大值',
-    'min': '最小值',
-    'median': '中值'
-  };
-  var displayName = startDate + '至' + endDate + ' NDVI ' + statTypeDisplay[statType];
-  Map.addLayer(statNDVI, {
+  // 逐景时间序列
+  if (timeSeriesOption) {
+    seriesTables.push(timeseries.regionSeries(processedCollection, 'NDVI', geometry));
+  }
+
+  // 分区统计
+  if (zonalOption) {
+    zonalTables.push(zonal.zonalStats(statNDVI, ee.FeatureCollection(geometry), {
+      zonal: zonalOption,
+      period: {start: startDate, end: endDate}
+    }));
+  }
+
+  // 添加到地图显示（多个统计方式时显示第一个）
+  var displayName = startDate + '至' + endDate + ' NDVI ' + core.statLabel(statType);
+  Map.addLayer(exporter.displayImage(statNDVI.select(0), geometry, exportOption), {
     min: -1,
     max: 1,
     palette: [
@@ -192,7 +218,10 @@ var enabledSatellites = Object.keys(satelliteConfig).filter(function(sat) {
 
 // 主处理流程
 print('=== NDVI批量处理开始 ===');
-print('统计方式:', statType);
+print('统计方式:', core.statLabel(statType));
+print('掩膜方案:', maskOption);
+print('跨传感器归一化:', harmonizeOption);
+print('趋势分析:', trendOption);
 print('启用的卫星:', enabledSatellites);
 
 // 显示研究区域
@@ -206,6 +235,38 @@ timePeriods.forEach(function(period) {
   });
 });
 
+// 导出分区统计表
+if (zonalOption) {
+  zonal.exportZonalStats(zonalTables, table, {
+    zonal: zonalOption,
+    description: ee.String(table.get('system:id')).getInfo().split('/').pop() +
+      '_NDVI_' + core.statSuffix(statType) + '_zonal_stats',
+    folder: 'NDVI_Results'
+  });
+}
+
+// 逐景时间序列图表和CSV
+if (timeSeriesOption) {
+  print(timeseries.chartSeries(ee.FeatureCollection(seriesTables).flatten(), 'NDVI'));
+  timeseries.exportSeries(seriesTables, {
+    description: ee.String(table.get('system:id')).getInfo().split('/').pop() + '_NDVI_timeseries',
+    folder: 'NDVI_Results'
+  });
+}
+
+// 趋势分析
+if (trendOption) {
+  trend.analyzeTrend({
+    composites: composites,
+    geometry: table,
+    name: 'NDVI_' + core.statSuffix(statType),
+    band: 0,
+    alpha: trendOption.alpha,
+    exportOptions: exportOption,
+    outputPath: 'NDVI_Results'
+  });
+}
+
 print('=== NDVI批量处理完成 ===');
 
 // 在最后添加研究区域边界（显示在最上层）
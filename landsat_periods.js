@@ -0,0 +1,141 @@
+/**
+ * @fileoverview 时间段生成工具
+ *
+ * 本模块根据起止年份自动生成分析所需的时间段列表，替代手工编写 {start, end} 对象。
+ * 支持以下时间段类型：
+ * 1. yearly   - 逐年
+ * 2. seasonal - 逐季（气象季节：春 MAM、夏 JJA、秋 SON、冬 DJF，冬季跨年）
+ * 3. monthly  - 逐月
+ * 4. season   - 每年相同月份窗口（如每年6-8月），支持跨年窗口（如11月至次年2月）
+ * 5. doy      - 每年相同的年积日（DOY）窗口
+ *
+ * 生成的时间段中 start 为起始日期，end 为不包含在内的结束日期，与 ee.ImageCollection.filterDate 的语义一致；
+ * label 为时间段标签。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+ *   var timePeriods = periods.generatePeriods({type: 'season', startYear: 1990, endYear: 2020, startMonth: 6, endMonth: 8});
+ */
+
+// 气象季节定义：起始月份及月数
+var SEASONS = [
+  {label: 'MAM', startMonth: 3, months: 3},
+  {label: 'JJA', startMonth: 6, months: 3},
+  {label: 'SON', startMonth: 9, months: 3},
+  {label: 'DJF', startMonth: 12, months: 3}
+];
+
+// 支持的时间段类型
+var PERIOD_TYPES = ['yearly', 'seasonal', 'monthly', 'season', 'doy'];
+
+// 数字补零函数
+function padZero(num) {
+  return num < 10 ? '0' + num : '' + num;
+}
+
+/**
+ * 将 UTC 日期格式化为 YYYY-MM-DD
+ * @param {Date} date - 日期
+ * @return {string} 格式化后的日期字符串
+ */
+function formatDate(date) {
+  return date.getUTCFullYear() + '-' + padZero(date.getUTCMonth() + 1) + '-' + padZero(date.getUTCDate());
+}
+
+/**
+ * 生成从指定年月开始、持续若干个月的时间段
+ * @param {number} year - 起始年份
+ * @param {number} month - 起始月份 (1-12)
+ * @param {number} months - 持续月数
+ * @param {string} label - 时间段标签
+ * @return {Object} 时间段对象 {start, end, label}
+ */
+function monthWindow(year, month, months, label) {
+  return {
+    start: formatDate(new Date(Date.UTC(year, month - 1, 1))),
+    end: formatDate(new Date(Date.UTC(year, month - 1 + months, 1))),
+    label: label
+  };
+}
+
+/**
+ * 生成时间段列表
+ * @param {Object} options - 参数对象
+ * @param {string} options.type - 时间段类型 ('yearly'、'seasonal'、'monthly'、'season' 或 'doy')
+ * @param {number} options.startYear - 起始年份
+ * @param {number} options.endYear - 结束年份（包含）
+ * @param {number} [options.step=1] - 年份间隔，如 5 表示每隔5年生成一次
+ * @param {number} [options.startMonth] - season 类型的起始月份 (1-12)
+ * @param {number} [options.endMonth] - season 类型的结束月份 (1-12，包含)，小于起始月份时表示跨年至次年
+ * @param {number} [options.startDoy] - doy 类型的起始年积日 (1-366)
+ * @param {number} [options.endDoy] - doy 类型的结束年积日 (1-366，包含)，小于起始年积日时表示跨年至次年
+ * @return {Array<Object>} 时间段列表，每个对象包含 start、end 和 label
+ */
+function generatePeriods(options) {
+  var type = options.type;
+  var step = options.step || 1;
+
+  if (PERIOD_TYPES.indexOf(type) === -1) {
+    throw new Error('不支持的时间段类型: ' + type + '。请使用 ' + PERIOD_TYPES.join('、'));
+  }
+  if (!(options.startYear <= options.endYear)) {
+    throw new Error('起始年份必须不晚于结束年份: ' + options.startYear + ' - ' + options.endYear);
+  }
+  if (type === 'season' && !(options.startMonth >= 1 && options.startMonth <= 12 &&
+      options.endMonth >= 1 && options.endMonth <= 12)) {
+    throw new Error('season 类型需要有效的 startMonth 和 endMonth (1-12)');
+  }
+  if (type === 'doy' && !(options.startDoy >= 1 && options.startDoy <= 366 &&
+      options.endDoy >= 1 && options.endDoy <= 366)) {
+    throw new Error('doy 类型需要有效的 startDoy 和 endDoy (1-366)');
+  }
+
+  var periods = [];
+  for (var year = options.startYear; year <= options.endYear; year += step) {
+    if (type === 'yearly') {
+      periods.push(monthWindow(year, 1, 12, String(year)));
+    } else if (type === 'seasonal') {
+      SEASONS.forEach(function(season) {
+        periods.push(monthWindow(year, season.startMonth, season.months, year + '_' + season.label));
+      });
+    } else if (type === 'monthly') {
+      for (var month = 1; month <= 12; month++) {
+        periods.push(monthWindow(year, month, 1, year + '_' + padZero(month)));
+      }
+    } else if (type === 'season') {
+      var months = (options.endMonth - options.startMonth + 12) % 12 + 1;
+      periods.push(monthWindow(year, options.startMonth, months,
+        year + '_M' + padZero(options.startMonth) + '-' + padZero(options.endMonth)));
+    } else {
+      var days = options.endDoy >= options.startDoy ?
+        options.endDoy - options.startDoy + 1 :
+        options.endDoy - options.startDoy + 1 + (year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 366 : 365);
+      var start = new Date(Date.UTC(year, 0, options.startDoy));
+      var end = new Date(Date.UTC(year, 0, options.startDoy + days));
+      periods.push({
+        start: formatDate(start),
+        end: formatDate(end),
+        label: year + '_DOY' + options.startDoy + '-' + options.endDoy
+      });
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * 将时间段参数统一为时间段列表
+ * @param {Array<Object>|Object} timePeriods - 手工编写的时间段列表，或 generatePeriods 的参数对象
+ * @return {Array<Object>} 时间段列表
+ */
+function resolvePeriods(timePeriods) {
+  if (Array.isArray(timePeriods)) {
+    return timePeriods;
+  }
+  return generatePeriods(timePeriods);
+}
+
+exports.PERIOD_TYPES = PERIOD_TYPES;
+exports.SEASONS = SEASONS;
+exports.generatePeriods = generatePeriods;
+exports.resolvePeriods = resolvePeriods;
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview 基于Landsat卫星数据的遥感生态指数（RSEI）分析工具
+ *
+ * 本模块按照 Xu (2013) 提出的方法，利用绿度、湿度、热度和干度四个分量，通过主成分分析构建遥感生态指数（RSEI）。
+ * 主要功能包括：
+ * 1. 绿度（NDVI）和干度（NDBSI）基于 landsat_indices.js 中注册的指数计算
+ * 2. 湿度基于缨帽变换湿度分量（WET），按传感器选择变换系数
+ * 3. 热度基于 landsat_lst.js 中的地表温度（LST）
+ * 4. 各分量在研究区域内归一化后进行主成分分析，以第一主成分构建 RSEI
+ * 5. 按时间段导出 RSEI 栅格及第一主成分载荷表（CSV）到 Google Drive，并支持可视化显示
+ * 卫星数据集、波段映射、缩放系数和云掩膜等基础工具由 landsat_core.js 提供。
+ *
+ * 参考文献：
+ * [1] Xu, H. "A remote sensing urban ecological index and its application." Acta Ecologica Sinica 33.24 (2013): 7853-7862.
+ * [2] Crist, E. P. "A TM tasseled cap equivalent transformation for reflectance factor data."
+ *     Remote Sensing of Environment 17.3 (1985): 301-306.
+ * [3] Huang, C., et al. "Derivation of a tasselled cap transformation based on Landsat 7 at-satellite reflectance."
+ *     International journal of remote sensing 23.8 (2002): 1741-1748.
+ * [4] Baig, M. H. A., et al. "Derivation of a tasselled cap transformation based on Landsat 8 at-satellite reflectance."
+ *     Remote Sensing Letters 5.5 (2014): 423-431.
+ *
+ * RSEI值范围解释（等间隔分级）：
+ * [0.0, 0.2)  - 差
+ * [0.2, 0.4)  - 较差
+ * [0.4, 0.6)  - 中等
+ * [0.6, 0.8)  - 良
+ * [0.8, 1.0]  - 优
+ */
+
+// 引入公共核心模块、光谱指数注册表、地表温度工具、时间段生成工具和栅格导出工具（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+var indices = require('users/your_username/GEE_script4landsat:landsat_indices');
+var lst = require('users/your_username/GEE_script4landsat:landsat_lst');
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+// 缨帽变换湿度分量系数（顺序为 blue、green、red、nir、swir1、swir2）
+var WETNESS_COEFFICIENTS = {
+  'TM': [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109],    // Crist (1985)
+  'ETM+': [0.2626, 0.2141, 0.0926, 0.0656, -0.7629, -0.5388],  // Huang et al. (2002)
+  'OLI': [0.1511, 0.1973, 0.3283, 0.3407, -0.7117, -0.4559]    // Baig et al. (2014)
+};
+
+// RSEI 的四个分量：绿度、湿度、热度、干度
+var COMPONENTS = ['NDVI', 'WET', 'LST', 'NDBSI'];
+
+// 支持的统计方式
+var STAT_TYPES = ['mean', 'median'];
+
+/**
+ * 计算缨帽变换湿度分量
+ * @param {ee.Image} image - 输入影像（通用波段名，已缩放）
+ * @param {string} sensor - 传感器类型 ('TM'、'ETM+' 或 'OLI')
+ * @return {ee.Image} 名为 WET 的单波段影像
+ */
+function computeWetness(image, sensor) {
+  return image.select(core.OPTICAL_BANDS)
+    .multiply(ee.Image.constant(WETNESS_COEFFICIENTS[sensor]))
+    .reduce(ee.Reducer.sum())
+    .rename('WET');
+}
+
+/**
+ * 在研究区域内将各分量线性归一化至[0,1]
+ * @param {ee.Image} image - 包含各分量的影像
+ * @param {ee.FeatureCollection} geometry - 研究区域
+ * @return {ee.Image} 归一化后的影像
+ */
+function normalizeComponents(image, geometry) {
+  var minMax = image.reduceRegion({
+    reducer: ee.Reducer.minMax(),
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+
+  return ee.Image.cat(COMPONENTS.map(function(band) {
+    var min = ee.Number(minMax.get(band + '_min'));
+    var max = ee.Number(minMax.get(band + '_max'));
+    return image.select(band).subtract(min).divide(max.subtract(min));
+  }));
+}
+
+/**
+ * 对归一化后的分量进行主成分分析
+ * @param {ee.Image} image - 归一化后的分量影像
+ * @param {ee.FeatureCollection} geometry - 研究区域
+ * @return {Object} 包含第一主成分影像 pc1、载荷 loadings、特征值 eigenValues 的对象
+ */
+function principalComponents(image, geometry) {
+  // 中心化
+  var means = image.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+  var centered = image.subtract(ee.Image.constant(means.values(COMPONENTS)));
+
+  // 协方差矩阵及特征分解
+  var arrays = centered.toArray();
+  var covariance = arrays.reduceRegion({
+    reducer: ee.Reducer.centeredCovariance(),
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+  var eigens = ee.Array(covariance.get('array')).eigen();
+  var eigenValues = eigens.slice(1, 0, 1).project([0]);
+  var eigenVectors = eigens.slice(1, 1);
+
+  // 以 NDVI 载荷为正确定第一主成分方向，使其数值越大表示生态状况越好
+  var loadings = ee.List(eigenVectors.toList().get(0));
+  var sign = ee.Number(ee.Algorithms.If(ee.Number(loadings.get(0)).lt(0), -1, 1));
+  loadings = loadings.map(function(value) {
+    return ee.Number(value).multiply(sign);
+  });
+
+  var pc1 = ee.Image(ee.Array(ee.List([loadings])))
+    .matrixMultiply(arrays.toArray(1))
+    .arrayProject([0])
+    .arrayFlatten([['PC1']]);
+
+  return {
+    pc1: pc1,
+    loadings: loadings,
+    eigenValues: eigenValues.toList()
+  };
+}
+
+/**
+ * 主函数：计算研究区域各时间段的RSEI
+ * @param {Object} params - 参数对象
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {Array<Object>|Object} params.timePeriods - 时间段列表（每个对象包含start和end），或 landsat_periods.js 中 generatePeriods 的参数对象
+ * @param {Array<string>} [params.satelliteIds=['L8']] - 卫星标识符列表 ['L4', 'L5', 'L7', 'L8', 'L9']
+ * @param {string} [params.statType='median'] - 分量合成方式 ('mean' 或 'median')
+ * @param {boolean} [params.maskWater=true] - 是否使用 MNDWI 掩膜水体（MNDWI > 0）
+ * @param {number|null} [params.maxUncertainty=5] - ST_QA 允许的最大不确定度（开尔文），为 null 时不掩膜
+ * @param {string|Array|Object} [params.mask='basic'] - 掩膜方案名称、QA_PIXEL标志位列表或掩膜配置对象，参见 landsat_core.js 中的 resolveMask
+ * @param {boolean|string} [params.harmonize=false] - 是否将 TM/ETM+ 反射率归一化至 OLI（true、'roy2016_rma' 或 'roy2016_ols'）
+ * @param {Object} [params.exportOptions] - 栅格导出配置（目的地、导出范围、CRS/网格、分辨率、数据类型与缩放、无数据值、命名模板），
+ *   缺省时将裁剪至研究区域的 float 类型 30 米 GeoTIFF 导出到 Drive，地图图层使用相同的导出范围，参见 landsat_export.js 中的 resolveExport
+ * @param {string} params.outputPath - GDrive导出路径
+ * @return {Array<ee.Image>} 各时间段的RSEI影像（跳过无影像的时间段）
+ */
+exports.calculateRSEI = function(params) {
+  // 设置默认值
+  params.statType = params.statType || 'median';
+  params.maskWater = params.maskWater !== undefined ? params.maskWater : true;
+  params.satelliteIds = core.validateSatellites(params.satelliteIds || ['L8']);
+  params.timePeriods = periods.resolvePeriods(params.timePeriods);
+  params.exportOptions = exporter.resolveExport(params.exportOptions);
+
+  // 验证统计方式
+  if (STAT_TYPES.indexOf(params.statType) === -1) {
+    throw new Error('不支持的统计方式: ' + params.statType + '。请使用 ' + STAT_TYPES.join('、'));
+  }
+
+  // 获取研究区域名称
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+  print('研究区域:', areaName);
+
+  Map.centerObject(params.geometry, 9);
+
+  var results = [];
+  var loadingFeatures = [];
+
+  // 处理每个时间段
+  params.timePeriods.forEach(function(period) {
+    print('处理时间段:', period.start + ' 至 ' + period.end);
+
+    // 逐颗卫星计算四个分量，湿度分量需按传感器选择缨帽变换系数
+    var combinedCollection = ee.ImageCollection([]);
+    params.satelliteIds.forEach(function(satelliteId) {
+      // 归一化至 OLI 后统一使用 OLI 系数
+      var sensor = params.harmonize ? 'OLI' : core.SATELLITES[satelliteId].sensor;
+      var collection = core.getCollection(satelliteId, {
+        startDate: period.start,
+        endDate: period.end,
+        geometry: params.geometry,
+        mask: params.mask,
+        harmonize: params.harmonize
+      }).map(lst.addLST('celsius', params.maxUncertainty))
+        .map(function(image) {
+          return image.addBands([
+            indices.computeIndex(image, 'NDVI'),
+            computeWetness(image, sensor),
+            indices.computeIndex(image, 'NDBSI'),
+            indices.computeIndex(image, 'MNDWI')
+          ]);
+        });
+      combinedCollection = combinedCollection.merge(collection);
+    });
+
+    var imageCount = combinedCollection.size().getInfo();
+    print('时间段内所有卫星的总影像数量:', imageCount);
+
+    if (imageCount === 0) {
+      print('警告：在时间段 ' + period.start + ' 至 ' + period.end + ' 内未找到任何卫星影像');
+      return;
+    }
+
+    // 合成各分量
+    var composite = combinedCollection.select(COMPONENTS.concat(['MNDWI']))[params.statType]()
+      .rename(COMPONENTS.concat(['MNDWI']));
+    var components = composite.select(COMPONENTS);
+    if (params.maskWater) {
+      components = components.updateMask(composite.select('MNDWI').lte(0));
+    }
+
+    // 归一化与主成分分析
+    var normalized = normalizeComponents(components, params.geometry);
+    var pca = principalComponents(normalized, params.geometry);
+
+    // 将第一主成分归一化至[0,1]得到RSEI
+    var pcRange = pca.pc1.reduceRegion({
+      reducer: ee.Reducer.minMax(),
+      geometry: params.geometry,
+      scale: 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    var pcMin = ee.Number(pcRange.get('PC1_min'));
+    var pcMax = ee.Number(pcRange.get('PC1_max'));
+    var rsei = pca.pc1.subtract(pcMin).divide(pcMax.subtract(pcMin))
+      .rename('RSEI')
+      .set({
+        'period_start': period.start,
+        'period_end': period.end,
+        'system:time_start': ee.Date(period.start).millis()
+      });
+    results.push(rsei);
+
+    // 第一主成分载荷及贡献率
+    var eigenValues = ee.List(pca.eigenValues);
+    var contribution = ee.Number(eigenValues.get(0))
+      .divide(ee.Number(eigenValues.reduce(ee.Reducer.sum())))
+      .multiply(100);
+    var rseiMean = rsei.reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: params.geometry,
+      scale: 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    }).get('RSEI');
+    var loadingProperties = {
+      'period_start': period.start,
+      'period_end': period.end,
+      'image_count': imageCount,
+      'PC1_eigenvalue': eigenValues.get(0),
+      'PC1_contribution': contribution,
+      'RSEI_mean': rseiMean
+    };
+    COMPONENTS.forEach(function(band, i) {
+      loadingProperties[band + '_loading'] = pca.loadings.get(i);
+    });
+    loadingFeatures.push(ee.Feature(null, loadingProperties));
+    print('第一主成分载荷 (' + COMPONENTS.join(', ') + '):', pca.loadings);
+    print('第一主成分贡献率(%):', contribution);
+
+    // 导出RSEI栅格
+    var exportDescription = exporter.exportImage(rsei, {
+      description: areaName + '_RSEI_' + period.start + '_' + period.end,
+      fields: {area: areaName, product: 'RSEI', start: period.start, end: period.end},
+      region: params.geometry,
+      folder: params.outputPath,
+      config: params.exportOptions
+    });
+    print('导出任务已创建:', exportDescription);
+
+    // 添加到地图显示
+    Map.addLayer(exporter.displayImage(rsei, params.geometry, params.exportOptions), {
+      min: 0,
+      max: 1,
+      palette: ['#A50026', '#F46D43', '#FEE08B', '#A6D96A', '#1A9850']
+    }, 'RSEI_' + period.start + '_' + period.end);
+  });
+
+  // 导出各时间段的第一主成分载荷表
+  if (loadingFeatures.length > 0) {
+    var loadingDescription = areaName + '_RSEI_loadings';
+    Export.table.toDrive({
+      collection: ee.FeatureCollection(loadingFeatures),
+      description: loadingDescription,
+      folder: params.outputPath,
+      fileFormat: 'CSV',
+      selectors: ['period_start', 'period_end', 'image_count'].concat(
+        COMPONENTS.map(function(band) { return band + '_loading'; }),
+        ['PC1_eigenvalue', 'PC1_contribution', 'RSEI_mean'])
+    });
+    print('载荷表导出任务已创建:', loadingDescription);
+  }
+
+  // 在最后添加研究区域边界（显示在最上层）
+  Map.addLayer(params.geometry, {color: 'red'}, '研究区域');
+
+  return results;
+};
+
+// 使用示例
+var aoi = table; // 用户自定义研究区域
+
+var params = {
+  geometry: aoi,
+  timePeriods: [
+    {start: '2020-06-01', end: '2020-09-30'},
+    {start: '2010-06-01', end: '2010-09-30'},
+    {start: '2000-06-01', end: '2000-09-30'}
+  ],
+  satelliteIds: ['L5', 'L7', 'L8', 'L9'],
+  statType: 'median',    // 'mean' 或 'median'
+  maskWater: true,       // 使用 MNDWI 掩膜水体
+  maxUncertainty: 5,     // ST_QA 不确定度上限（开尔文），null 表示不掩膜
+  mask: 'standard',      // 掩膜方案：'basic'、'standard'、'strict'
+  harmonize: true,       // 跨传感器归一化：false、true(即 'roy2016_rma') 或 'roy2016_ols'
+  exportOptions: {destination: 'drive', region: 'clip', scale: 30, dataType: 'float'},  // 导出配置：如 {crs: 'EPSG:32650', nameTemplate: '{area}_{product}_{start}'}，参见 landsat_export.js
+  outputPath: 'RSEI_Results'
+};
+
+exports.calculateRSEI(params);
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview 最佳影像筛选工具
+ *
+ * 本模块基于 landsat_metadata.js 中 searchScenes 检索到的影像，按条带号（及年份）推荐最佳影像：
+ * 1. 筛选：月份窗口或气象季节（landsat_periods.js 中的 SEASONS）、最小太阳高度角、条带号白名单
+ * 2. 评分：综合研究区域云量、研究区域覆盖率及与目标日期的接近程度，得分范围 0-1，越高越好
+ *    - 云量得分 = 1 - 云量/100（优先使用研究区域云量，参见 landsat_coverage.js 中的 sceneCloud）
+ *    - 覆盖率得分 = 研究区域覆盖率/100（需在 searchScenes 中启用 aoiCloud，否则计为0）；覆盖率以整个研究区域面积为分母，
+ *      云量相同时仅部分覆盖研究区域的影像得分低于完全覆盖的影像
+ *    - 日期得分 = max(0, 1 - 与目标日期相差天数/maxDays)，目标日期按每年的同一月日计算，支持跨年
+ *    总得分为三者按权重的加权平均，未指定目标日期时不计日期得分
+ * 3. 排序：每个条带号（perYear 为 true 时为每个条带号 × 年份）保留得分最高的 topN 景影像
+ * 导出的排序表（CSV）包含 image_id 字段，上传为表格资产后可作为分析脚本的 sceneIds 参数（参见 landsat_core.js 中的 resolveSceneIds）。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var selection = require('users/your_username/GEE_script4landsat:landsat_selection');
+ *   var result = metadata.searchScenes({geometry: table, startDate: '2015-01-01', endDate: '2021-01-01', aoiCloud: true});
+ *   var ranking = selection.selectBestScenes(result.collection, {season: 'JJA', targetDate: '07-15', topN: 3});
+ */
+
+// 引入时间段生成工具和覆盖规划工具（请将路径替换为实际的代码仓库路径）
+var periods = require('users/your_username/GEE_script4landsat:landsat_periods');
+var coverage = require('users/your_username/GEE_script4landsat:landsat_coverage');
+
+// 默认评分权重
+var DEFAULT_WEIGHTS = {cloud: 0.5, coverage: 0.3, date: 0.2};
+
+// 默认日期得分衰减天数：与目标日期相差该天数及以上时日期得分为0
+var DEFAULT_MAX_DAYS = 60;
+
+// 默认每组保留的影像数量
+var DEFAULT_TOP_N = 3;
+
+// 排序表的输出字段
+var RANKING_COLUMNS = ['path', 'row', 'year', 'rank', 'image_id', 'satellite', 'date_acquired', 'score',
+  'scene_cloud', 'aoi_coverage', 'days_from_target', 'sun_elevation'];
+
+/**
+ * 将月份窗口或季节名称统一为 [起始月份, 结束月份]
+ * @param {Object} options - 参数对象，参见 filterScenes
+ * @return {Array<number>|null} [起始月份, 结束月份]（包含），未指定时返回 null
+ */
+function resolveMonths(options) {
+  if (options.season) {
+    var seasons = periods.SEASONS.filter(function(item) { return item.label === options.season; });
+    if (seasons.length === 0) {
+      throw new Error('不支持的季节: ' + options.season + '。请使用 ' +
+        periods.SEASONS.map(function(item) { return item.label; }).join('、'));
+    }
+    var season = seasons[0];
+    return [season.startMonth, (season.startMonth + season.months - 2) % 12 + 1];
+  }
+  return options.months || null;
+}
+
+/**
+ * 按月份窗口、太阳高度角和条带号白名单筛选影像
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合
+ * @param {Object} options - 参数对象
+ * @param {Array<number>} [options.months] - 月份窗口 [起始月份, 结束月份]（包含），起始月份大于结束月份时表示跨年，如 [11, 2]
+ * @param {string} [options.season] - 气象季节（'MAM'、'JJA'、'SON'、'DJF'），指定时忽略 months
+ * @param {number} [options.minSunElevation] - 最小太阳高度角（度）
+ * @param {Array<Array<number>>} [options.pathRows] - 条带号白名单，如 [[123, 32], [123, 33]]
+ * @return {ee.ImageCollection} 筛选后的影像集合
+ */
+function filterScenes(collection, options) {
+  var months = resolveMonths(options);
+  if (months) {
+    // calendarRange 在起始值大于结束值时自动处理跨年
+    collection = collection.filter(ee.Filter.calendarRange(months[0], months[1], 'month'));
+  }
+  if (options.minSunElevation !== undefined) {
+    collection = collection.filter(ee.Filter.gte('SUN_ELEVATION', options.minSunElevation));
+  }
+  if (options.pathRows && options.pathRows.length > 0) {
+    collection = collection.filter(ee.Filter.or.apply(ee.Filter, options.pathRows.map(function(pathRow) {
+      return ee.Filter.and(ee.Filter.eq('WRS_PATH', pathRow[0]), ee.Filter.eq('WRS_ROW', pathRow[1]));
+    })));
+  }
+  return collection;
+}
+
+/**
+ * 计算影像与目标日期（每年同一月日）相差的天数，取前一年、当年和后一年中最接近者以处理跨年窗口
+ * @param {ee.Image} image - 影像
+ * @param {string} targetDate - 目标日期 'MM-dd'
+ * @return {ee.Number} 相差天数
+ */
+function daysFromTarget(image, targetDate) {
+  var parts = targetDate.split('-');
+  var date = image.date();
+  var year = date.get('year');
+  return ee.List([-1, 0, 1]).map(function(offset) {
+    var target = ee.Date.fromYMD(year.add(offset), Number(parts[0]), Number(parts[1]));
+    return date.difference(target, 'day').abs();
+  }).reduce(ee.Reducer.min());
+}
+
+/**
+ * 计算影像得分
+ * @param {ee.ImageCollection} collection - 影像集合
+ * @param {Object} options - 参数对象
+ * @param {string} [options.targetDate] - 目标日期 'MM-dd'，如 '07-15'
+ * @param {number} [options.maxDays=60] - 日期得分衰减天数
+ * @param {Object} [options.weights] - 评分权重 {cloud, coverage, date}，缺省项使用 DEFAULT_WEIGHTS
+ * @return {ee.ImageCollection} 添加了 SELECTION_SCORE 属性（指定目标日期时另含 DAYS_FROM_TARGET）的影像集合
+ */
+function scoreScenes(collection, options) {
+  var weights = options.weights || {};
+  var cloudWeight = weights.cloud === undefined ? DEFAULT_WEIGHTS.cloud : weights.cloud;
+  var coverageWeight = weights.coverage === undefined ? DEFAULT_WEIGHTS.coverage : weights.coverage;
+  var dateWeight = options.targetDate ? (weights.date === undefined ? DEFAULT_WEIGHTS.date : weights.date) : 0;
+  var totalWeight = cloudWeight + coverageWeight + dateWeight;
+  if (totalWeight <= 0) {
+    throw new Error('评分权重之和必须大于0');
+  }
+  var maxDays = options.maxDays || DEFAULT_MAX_DAYS;
+
+  return collection.map(function(image) {
+    var cloudScore = ee.Number(1).subtract(coverage.sceneCloud(image).divide(100));
+    var aoiCoverage = image.get('AOI_COVERAGE');
+    var coverageScore = ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(aoiCoverage, null), 0, aoiCoverage))
+      .divide(100);
+    var score = cloudScore.multiply(cloudWeight).add(coverageScore.multiply(coverageWeight));
+
+    if (!options.targetDate) {
+      return image.set('SELECTION_SCORE', score.divide(totalWeight));
+    }
+    var days = daysFromTarget(image, options.targetDate);
+    var dateScore = ee.Number(1).subtract(ee.Number(days).divide(maxDays)).max(0);
+    return image.set({
+      'SELECTION_SCORE': score.add(dateScore.multiply(dateWeight)).divide(totalWeight),
+      'DAYS_FROM_TARGET': days
+    });
+  });
+}
+
+/**
+ * 按条带号（及年份）对已评分的影像排序，每组保留得分最高的 topN 景
+ * @param {ee.ImageCollection} collection - scoreScenes 的结果
+ * @param {Object} options - 参数对象
+ * @param {number} [options.topN=3] - 每组保留的影像数量
+ * @param {boolean} [options.perYear=true] - 是否按条带号 × 年份分组，false 时仅按条带号分组
+ * @return {ee.FeatureCollection} 排序表，每行一景影像，包含 RANKING_COLUMNS 中的字段，rank 为组内名次（从1开始）
+ */
+function rankScenes(collection, options) {
+  var topN = options.topN || DEFAULT_TOP_N;
+  var perYear = options.perYear === undefined ? true : options.perYear;
+
+  var scenes = collection.map(function(image) {
+    var year = image.date().get('year');
+    var path = image.get('WRS_PATH');
+    var row = image.get('WRS_ROW');
+    var group = ee.String(ee.Number(path).format('%03d')).cat(ee.Number(row).format('%03d'));
+    return ee.Feature(null, {
+      'group': perYear ? group.cat('_').cat(ee.Number(year).format('%d')) : group,
+      'path': path,
+      'row': row,
+      'year': year,
+      'image_id': image.get('IMAGE_ID'),
+      'satellite': image.get('SATELLITE'),
+      'date_acquired': image.get('DATE_ACQUIRED'),
+      'score': image.get('SELECTION_SCORE'),
+      'scene_cloud': coverage.sceneCloud(image),
+      'aoi_coverage': image.get('AOI_COVERAGE'),
+      'days_from_target': image.get('DAYS_FROM_TARGET'),
+      'sun_elevation': image.get('SUN_ELEVATION')
+    });
+  });
+
+  var groups = ee.List(scenes.aggregate_array('group')).distinct().sort();
+  return ee.FeatureCollection(groups.map(function(group) {
+    var ranked = scenes.filter(ee.Filter.eq('group', group)).sort('score', false).toList(topN);
+    return ee.List.sequence(0, ranked.size().subtract(1)).map(function(index) {
+      return ee.Feature(ranked.get(index)).set('rank', ee.Number(index).add(1));
+    });
+  }).flatten());
+}
+
+/**
+ * 筛选、评分并排序，得到各条带号（及年份）的最佳影像
+ * @param {ee.ImageCollection} collection - searchScenes 检索到的影像集合（建议启用 aoiCloud）
+ * @param {Object} options - 参数对象，包含 filterScenes、scoreScenes 和 rankScenes 的全部参数
+ * @return {Object} 筛选结果：
+ *   ranking - 排序表，参见 rankScenes
+ *   imageIds - 入选影像ID列表（ee.List）
+ *   collection - 入选的影像集合
+ */
+function selectBestScenes(collection, options) {
+  var scored = scoreScenes(filterScenes(collection, options), options);
+  var ranking = rankScenes(scored, options);
+  var imageIds = ranking.aggregate_array('image_id');
+  return {
+    ranking: ranking,
+    imageIds: imageIds,
+    collection: scored.filter(ee.Filter.inList('IMAGE_ID', imageIds))
+  };
+}
+
+/**
+ * 导出排序表（CSV）
+ * @param {ee.FeatureCollection} ranking - rankScenes 的结果
+ * @param {Object} options - 导出参数
+ * @param {string} options.description - 导出任务名称
+ * @param {string} [options.folder] - GDrive导出路径
+ */
+function exportRanking(ranking, options) {
+  Export.table.toDrive({
+    collection: ranking,
+    description: options.description,
+    folder: options.folder,
+    fileFormat: 'CSV',
+    selectors: RANKING_COLUMNS
+  });
+  print('最佳影像导出任务已创建:', options.description);
+}
+
+exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+exports.DEFAULT_MAX_DAYS = DEFAULT_MAX_DAYS;
+exports.DEFAULT_TOP_N = DEFAULT_TOP_N;
+exports.RANKING_COLUMNS = RANKING_COLUMNS;
+exports.filterScenes = filterScenes;
+exports.scoreScenes = scoreScenes;
+exports.rankScenes = rankScenes;
+exports.selectBestScenes = selectBestScenes;
+exports.exportRanking = exportRanking;
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview 逐景区域时间序列工具
+ *
+ * 本模块对掩膜后影像集合中的每一景影像，统计研究区域内指定波段（如NDVI）的均值及有效像元占比，
+ * 生成逐景时间序列表格，按卫星分组绘制 ui.Chart 散点图，并导出 CSV
+ * （日期、卫星、传感器、路径行、影像ID、均值、有效像元占比）。
+ *
+ * 有效像元占比 = 研究区域内掩膜后有效像元数 / 研究区域内非填充像元数（landsat_core.js 中的 OBSERVED 波段），
+ * 因此不受影像条带边缘或研究区域仅部分位于影像内的影响。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var timeseries = require('users/your_username/GEE_script4landsat:landsat_timeseries');
+ *   var series = timeseries.regionSeries(collection, 'NDVI', table);
+ */
+
+// 引入公共核心模块（请将路径替换为实际的代码仓库路径）
+var core = require('users/your_username/GEE_script4landsat:landsat_core');
+
+// 时间序列表格的输出字段
+var SERIES_COLUMNS = ['date', 'satellite', 'sensor', 'path', 'row', 'scene_id', 'value', 'clear_fraction'];
+
+/**
+ * 统计每一景影像在研究区域内的均值和有效像元占比
+ * @param {ee.ImageCollection} collection - 经 landsat_core.js 处理、包含指定波段和 OBSERVED 波段的影像集合
+ * @param {string} band - 统计的波段名称
+ * @param {ee.FeatureCollection|ee.Geometry} geometry - 研究区域
+ * @param {number} [scale=30] - 统计分辨率（米）
+ * @return {ee.FeatureCollection} 逐景时间序列表格，每行包含 SERIES_COLUMNS 中的字段及 system:time_start；
+ *   研究区域内无有效像元时 value 为空
+ */
+function regionSeries(collection, band, geometry, scale) {
+  var sensors = {};
+  Object.keys(core.SATELLITES).forEach(function(id) {
+    sensors[id] = core.SATELLITES[id].sensor;
+  });
+  sensors = ee.Dictionary(sensors);
+  var region = ee.FeatureCollection(geometry).geometry();
+
+  return ee.FeatureCollection(collection.map(function(image) {
+    var stats = image.select([band, 'OBSERVED']).reduceRegion({
+      reducer: ee.Reducer.mean().combine(ee.Reducer.count(), '', true),
+      geometry: region,
+      scale: scale || 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    var validCount = ee.Number(stats.get(band + '_count'));
+    var observedCount = ee.Number(stats.get('OBSERVED_count'));
+    var satellite = image.get('SATELLITE');
+
+    return ee.Feature(null, {
+      'system:time_start': image.get('system:time_start'),
+      'date': image.date().format('YYYY-MM-dd'),
+      'satellite': satellite,
+      'sensor': sensors.get(satellite),
+      'path': image.get('WRS_PATH'),
+      'row': image.get('WRS_ROW'),
+      'scene_id': image.get('LANDSAT_PRODUCT_ID'),
+      'value': stats.get(band + '_mean'),
+      'clear_fraction': ee.Algorithms.If(observedCount.gt(0), validCount.divide(observedCount), 0)
+    });
+  })).sort('system:time_start');
+}
+
+/**
+ * 绘制按卫星分组的时间序列散点图
+ * @param {ee.FeatureCollection} series - regionSeries 的结果
+ * @param {string} band - 波段名称（用于坐标轴标题）
+ * @param {string} [title] - 图表标题
+ * @return {ui.Chart} 时间序列图表（Code Editor 中最多显示 5000 景）
+ */
+function chartSeries(series, band, title) {
+  return ui.Chart.feature.groups({
+    features: series.filter(ee.Filter.notNull(['value'])),
+    xProperty: 'system:time_start',
+    yProperty: 'value',
+    seriesProperty: 'satellite'
+  }).setChartType('ScatterChart').setOptions({
+    title: title || band + ' 逐景时间序列',
+    hAxis: {title: '日期'},
+    vAxis: {title: band + ' 均值'},
+    pointSize: 3,
+    lineWidth: 0
+  });
+}
+
+/**
+ * 将时间序列导出为 CSV
+ * @param {Array<ee.FeatureCollection>} series - 各时间段 regionSeries 的结果
+ * @param {Object} options - 参数对象
+ * @param {string} options.description - 导出任务名称
+ * @param {string} options.folder - GDrive导出路径
+ */
+function exportSeries(series, options) {
+  if (series.length === 0) {
+    return;
+  }
+  Export.table.toDrive({
+    collection: ee.FeatureCollection(series).flatten(),
+    description: options.description,
+    folder: options.folder,
+    fileFormat: 'CSV',
+    selectors: SERIES_COLUMNS
+  });
+  print('时间序列导出任务已创建:', options.description);
+}
+
+exports.SERIES_COLUMNS = SERIES_COLUMNS;
+exports.regionSeries = regionSeries;
+exports.chartSeries = chartSeries;
+exports.exportSeries = exportSeries;
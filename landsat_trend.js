@@ -0,0 +1,230 @@
+/**
+ * @fileoverview 长时间序列趋势分析工具（Sen's slope + Mann-Kendall 检验）
+ *
+ * 本模块基于各时间段的合成影像（如 landsat_ndvi_analysis.js 中 processNDVI 或 landsat_fvc_analysis.js 中
+ * calculateFVC 生成的逐年 NDVI / FVC），逐像元计算 Theil-Sen 斜率、Mann-Kendall 检验统计量 Z 及双侧 p 值，
+ * 并按显著性划分趋势等级，导出栅格及各等级面积汇总表（CSV）。
+ *
+ * 注意：Mann-Kendall 方差未做结值（ties）校正，时间序列中存在大量相同值时 Z 值会略偏大。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var trend = require('users/your_username/GEE_script4landsat:landsat_trend');
+ *   trend.analyzeTrend({composites: composites, geometry: table, name: 'NDVI', outputPath: 'Trend_Results'});
+ *
+ * 参考文献：
+ * [1] Sen, P. K. "Estimates of the regression coefficient based on Kendall's tau."
+ *     Journal of the American statistical association 63.324 (1968): 1379-1389.
+ * [2] Mann, H. B. "Nonparametric tests against trend." Econometrica 13.3 (1945): 245-259.
+ * [3] Kendall, M. G. "Rank correlation methods." Griffin, London (1975).
+ *
+ * 趋势等级：
+ *  2 - 极显著改善（斜率 > 0，p < 0.01）
+ *  1 - 显著改善  （斜率 > 0，0.01 ≤ p < 0.05）
+ *  0 - 无显著变化（p ≥ 0.05）
+ * -1 - 显著退化  （斜率 < 0，0.01 ≤ p < 0.05）
+ * -2 - 极显著退化（斜率 < 0，p < 0.01）
+ */
+
+// 引入栅格导出工具（请将路径替换为实际的代码仓库路径）
+var exporter = require('users/your_username/GEE_script4landsat:landsat_export');
+
+// 趋势等级定义
+var TREND_CLASSES = [
+  {value: -2, name: '极显著退化', color: '#A50026'},
+  {value: -1, name: '显著退化', color: '#F46D43'},
+  {value: 0, name: '无显著变化', color: '#FFFFBF'},
+  {value: 1, name: '显著改善', color: '#66BD63'},
+  {value: 2, name: '极显著改善', color: '#006837'}
+];
+
+// 默认显著性水平 [极显著, 显著]
+var DEFAULT_ALPHA = [0.01, 0.05];
+
+/**
+ * 将合成影像整理为单波段时间序列集合
+ * @param {Array<ee.Image>|ee.ImageCollection} composites - 各时间段合成影像，需包含 system:time_start 属性
+ * @param {string|number} [band=0] - 参与趋势分析的波段名称或序号
+ * @return {ee.ImageCollection} 波段名为 value 的时间序列集合
+ */
+function toSeries(composites, band) {
+  return ee.ImageCollection(composites).map(function(image) {
+    return image.select([band === undefined ? 0 : band], ['value'])
+      .copyProperties(image, ['system:time_start']);
+  });
+}
+
+/**
+ * 计算时间序列中所有有序影像对（前者早于后者）的逐像元斜率和变化符号
+ * @param {ee.ImageCollection} series - 由 toSeries 得到的时间序列集合
+ * @return {ee.ImageCollection} 每幅影像包含 slope（每年变化量）和 sign（变化符号）两个波段
+ */
+function pairwiseDifferences(series) {
+  var joined = ee.Join.saveAll('after').apply({
+    primary: series,
+    secondary: series,
+    condition: ee.Filter.lessThan({
+      leftField: 'system:time_start',
+      rightField: 'system:time_start'
+    })
+  });
+
+  return ee.ImageCollection(ee.FeatureCollection(joined.map(function(current) {
+    current = ee.Image(current);
+    var start = ee.Date(current.get('system:time_start'));
+    return ee.ImageCollection.fromImages(current.get('after')).map(function(after) {
+      after = ee.Image(after);
+      var years = ee.Date(after.get('system:time_start')).difference(start, 'year');
+      var diff = after.subtract(current);
+      return diff.divide(years).rename('slope')
+        .addBands(diff.signum().rename('sign'));
+    });
+  })).flatten());
+}
+
+/**
+ * 逐像元计算 Sen's slope 和 Mann-Kendall 检验
+ * @param {Array<ee.Image>|ee.ImageCollection} composites - 各时间段合成影像，需包含 system:time_start 属性
+ * @param {string|number} [band=0] - 参与趋势分析的波段名称或序号
+ * @return {ee.Image} 包含以下波段的影像：
+ *   slope   - Sen's slope（每年变化量）
+ *   z       - Mann-Kendall 检验统计量 Z
+ *   p_value - 双侧 p 值
+ *   n       - 有效观测数量
+ */
+function computeTrend(composites, band) {
+  var series = toSeries(composites, band);
+  var pairs = pairwiseDifferences(series);
+
+  var slope = pairs.select('slope').reduce(ee.Reducer.median()).rename('slope');
+  var s = pairs.select('sign').sum();
+  var n = series.count().rename('n');
+
+  // 方差 Var(S) = n(n-1)(2n+5)/18
+  var variance = n.multiply(n.subtract(1)).multiply(n.multiply(2).add(5)).divide(18);
+  var z = s.subtract(s.signum()).divide(variance.sqrt()).rename('z');
+  var pValue = z.abs().divide(Math.SQRT2).erfc().rename('p_value');
+
+  return ee.Image.cat([slope, z, pValue, n.toFloat()]);
+}
+
+/**
+ * 根据斜率和显著性划分趋势等级
+ * @param {ee.Image} trendImage - computeTrend 的结果
+ * @param {Array<number>} [alpha=[0.01, 0.05]] - 显著性水平 [极显著, 显著]
+ * @return {ee.Image} 名为 trend_class 的趋势等级影像，取值参见 TREND_CLASSES
+ */
+function classifyTrend(trendImage, alpha) {
+  alpha = alpha || DEFAULT_ALPHA;
+  var slope = trendImage.select('slope');
+  var pValue = trendImage.select('p_value');
+  var level = ee.Image(0)
+    .where(pValue.lt(alpha[1]), 1)
+    .where(pValue.lt(alpha[0]), 2);
+  return level.multiply(slope.signum()).toInt8()
+    .updateMask(slope.mask())
+    .rename('trend_class');
+}
+
+/**
+ * 统计各趋势等级的面积
+ * @param {ee.Image} classImage - 趋势等级影像
+ * @param {ee.FeatureCollection} geometry - 研究区域
+ * @return {ee.FeatureCollection} 每个趋势等级一行，包含 class、name、area_km2、percent
+ */
+function classAreas(classImage, geometry) {
+  var grouped = ee.Image.pixelArea().divide(1e6).addBands(classImage).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+    geometry: geometry,
+    scale: 30,
+    maxPixels: 1e13,
+    bestEffort: true
+  });
+  var groups = ee.List(grouped.get('groups'));
+  var total = ee.Number(groups.iterate(function(group, sum) {
+    return ee.Number(sum).add(ee.Dictionary(group).get('sum'));
+  }, 0));
+
+  var names = ee.Dictionary.fromLists(
+    TREND_CLASSES.map(function(item) { return String(item.value); }),
+    TREND_CLASSES.map(function(item) { return item.name; })
+  );
+
+  return ee.FeatureCollection(groups.map(function(group) {
+    group = ee.Dictionary(group);
+    var value = ee.Number(group.get('class')).int();
+    var area = ee.Number(group.get('sum'));
+    return ee.Feature(null, {
+      'class': value,
+      'name': names.get(value.format()),
+      'area_km2': area,
+      'percent': area.divide(total).multiply(100)
+    });
+  }));
+}
+
+/**
+ * 主函数：趋势分析并导出结果
+ * @param {Object} params - 参数对象
+ * @param {Array<ee.Image>|ee.ImageCollection} params.composites - 各时间段合成影像，需包含 system:time_start 属性
+ * @param {ee.FeatureCollection} params.geometry - 研究区域
+ * @param {string} params.name - 结果名称（用于导出文件名和图层名），如 'NDVI'、'FVC'
+ * @param {string|number} [params.band=0] - 参与趋势分析的波段名称或序号
+ * @param {Array<number>} [params.alpha=[0.01, 0.05]] - 显著性水平 [极显著, 显著]
+ * @param {Object} [params.exportOptions] - 栅格导出配置（含导出范围策略，地图图层使用相同范围），参见 landsat_export.js 中的 resolveExport
+ * @param {string} params.outputPath - GDrive导出路径
+ * @return {ee.Image} 包含 slope、z、p_value、n、trend_class 波段的趋势影像
+ */
+function analyzeTrend(params) {
+  var count = ee.ImageCollection(params.composites).size().getInfo();
+  if (count < 3) {
+    throw new Error('趋势分析至少需要3个时间段的合成影像，当前为 ' + count + ' 个');
+  }
+
+  var areaName = ee.String(params.geometry.get('system:id')).getInfo().split('/').pop();
+  print('趋势分析时间段数量:', count);
+
+  var trendImage = computeTrend(params.composites, params.band);
+  var classImage = classifyTrend(trendImage, params.alpha);
+  var result = trendImage.addBands(classImage);
+
+  // 导出趋势栅格
+  var exportDescription = exporter.exportImage(result, {
+    description: areaName + '_' + params.name + '_trend',
+    fields: {area: areaName, product: params.name + '_trend'},
+    region: params.geometry,
+    folder: params.outputPath,
+    config: params.exportOptions
+  });
+  print('导出任务已创建:', exportDescription);
+
+  // 导出趋势等级面积汇总表
+  var areas = classAreas(classImage, params.geometry);
+  Export.table.toDrive({
+    collection: areas,
+    description: exportDescription + '_class_area',
+    folder: params.outputPath,
+    fileFormat: 'CSV',
+    selectors: ['class', 'name', 'area_km2', 'percent']
+  });
+  print('趋势等级面积:', areas);
+
+  // 添加到地图显示
+  Map.addLayer(exporter.displayImage(trendImage.select('slope'), params.geometry, params.exportOptions), {
+    min: -0.02,
+    max: 0.02,
+    palette: ['#A50026', '#F46D43', '#FFFFBF', '#66BD63', '#006837']
+  }, params.name + " Sen's slope", false);
+  Map.addLayer(exporter.displayImage(classImage, params.geometry, params.exportOptions), {
+    min: -2,
+    max: 2,
+    palette: TREND_CLASSES.map(function(item) { return item.color; })
+  }, params.name + ' 趋势等级');
+
+  return result;
+}
+
+exports.TREND_CLASSES = TREND_CLASSES;
+exports.computeTrend = computeTrend;
+exports.classifyTrend = classifyTrend;
+exports.classAreas = classAreas;
+exports.analyzeTrend = analyzeTrend;
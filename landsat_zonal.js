@@ -0,0 +1,138 @@
+/**
+ * @fileoverview 分区统计工具
+ *
+ * 本模块对研究区域 FeatureCollection（如县、流域）中的每个要素，按时间段统计合成影像各波段的
+ * 均值、中值、标准差、百分位数等，并以整洁表格（每行对应一个要素、一个时间段、一个波段）导出为 CSV，
+ * 要素的属性字段随统计结果一并输出。
+ *
+ * 使用方法（请将路径替换为实际的代码仓库路径）：
+ *   var zonal = require('users/your_username/GEE_script4landsat:landsat_zonal');
+ *   var table = zonal.zonalStats(image, features, {stats: ['mean', 'p90'], period: {start: '2020-01-01', end: '2021-01-01'}});
+ */
+
+// 默认统计量
+var DEFAULT_STATS = ['mean', 'median', 'stdDev', 'p10', 'p90'];
+
+// 支持的统计量（另支持任意百分位数，如 'p90'）
+var REDUCERS = {
+  'mean': function() { return ee.Reducer.mean(); },
+  'median': function() { return ee.Reducer.median(); },
+  'min': function() { return ee.Reducer.min(); },
+  'max': function() { return ee.Reducer.max(); },
+  'stdDev': function() { return ee.Reducer.stdDev(); },
+  'count': function() { return ee.Reducer.count(); }
+};
+
+// 表格中的时间段和波段字段
+var KEY_COLUMNS = ['period_start', 'period_end', 'variable'];
+
+/**
+ * 将分区统计参数统一为分区统计配置
+ * @param {boolean|Array<string>|Object} option - false 表示不进行分区统计；true 使用默认统计量；
+ *   统计量列表如 ['mean', 'p90']；或配置对象 {stats, properties, scale}
+ *   stats 为统计量列表，properties 为输出的要素属性字段（缺省为全部属性），scale 为统计分辨率（默认30米）
+ * @return {Object|null} 分区统计配置 {stats, properties, scale}，不进行分区统计时返回 null
+ */
+function resolveZonal(option) {
+  if (!option) {
+    return null;
+  }
+  if (option === true) {
+    option = {};
+  } else if (Array.isArray(option)) {
+    option = {stats: option};
+  }
+
+  var stats = option.stats || DEFAULT_STATS;
+  stats.forEach(function(stat) {
+    var match = /^p(\d{1,3})$/.exec(stat);
+    if (!REDUCERS[stat] && (!match || Number(match[1]) > 100)) {
+      throw new Error('不支持的分区统计量: ' + stat + '。请使用 ' + Object.keys(REDUCERS).join('、') + ' 或百分位数（如 p90）');
+    }
+  });
+
+  return {
+    stats: stats,
+    properties: option.properties || null,
+    scale: option.scale || 30
+  };
+}
+
+/**
+ * 构建组合统计器，输出字段名与统计量名称一致
+ * @param {Array<string>} stats - 统计量列表
+ * @return {ee.Reducer} 组合统计器
+ */
+function buildReducer(stats) {
+  var reducers = stats.map(function(stat) {
+    return REDUCERS[stat] ? REDUCERS[stat]() : ee.Reducer.percentile([Number(stat.substring(1))]);
+  });
+  return reducers.slice(1).reduce(function(combined, reducer) {
+    return combined.combine(reducer, '', true);
+  }, reducers[0]);
+}
+
+/**
+ * 统计每个要素内合成影像各波段的统计量
+ * @param {ee.Image} image - 合成影像（可为多波段）
+ * @param {ee.FeatureCollection} features - 分区要素集合
+ * @param {Object} options - 参数对象
+ * @param {boolean|Array<string>|Object} [options.zonal=true] - 分区统计参数，参见 resolveZonal
+ * @param {Object} options.period - 时间段 {start, end}
+ * @return {ee.FeatureCollection} 整洁表格，每行包含要素属性、period_start、period_end、variable（波段名）及各统计量
+ */
+function zonalStats(image, features, options) {
+  var config = resolveZonal(options.zonal === undefined ? true : options.zonal);
+  var reducer = buildReducer(config.stats);
+  var period = options.period;
+
+  var tables = image.bandNames().map(function(band) {
+    return image.select([band]).reduceRegions({
+      collection: features,
+      reducer: reducer,
+      scale: config.scale
+    }).map(function(feature) {
+      return ee.Feature(feature).setGeometry(null).set({
+        'period_start': period.start,
+        'period_end': period.end,
+        'variable': band
+      });
+    });
+  });
+
+  return ee.FeatureCollection(tables).flatten();
+}
+
+/**
+ * 将分区统计结果导出为一个 CSV 表格
+ * @param {Array<ee.FeatureCollection>} tables - 各时间段的分区统计结果
+ * @param {ee.FeatureCollection} features - 分区要素集合（用于确定输出的属性字段）
+ * @param {Object} options - 参数对象
+ * @param {boolean|Array<string>|Object} [options.zonal=true] - 分区统计参数，参见 resolveZonal
+ * @param {string} options.description - 导出任务名称
+ * @param {string} options.folder - GDrive导出路径
+ */
+function exportZonalStats(tables, features, options) {
+  if (tables.length === 0) {
+    return;
+  }
+  var config = resolveZonal(options.zonal === undefined ? true : options.zonal);
+  var properties = config.properties ||
+    ee.Feature(features.first()).propertyNames().getInfo().filter(function(name) {
+      return name.indexOf('system:') !== 0;
+    });
+
+  Export.table.toDrive({
+    collection: ee.FeatureCollection(tables).flatten(),
+    description: options.description,
+    folder: options.folder,
+    fileFormat: 'CSV',
+    selectors: properties.concat(KEY_COLUMNS, config.stats)
+  });
+  print('分区统计导出任务已创建:', options.description);
+}
+
+exports.DEFAULT_STATS = DEFAULT_STATS;
+exports.resolveZonal = resolveZonal;
+exports.zonalStats = zonalStats;
+exports.exportZonalStats = exportZonalStats;